@@ -21,7 +21,9 @@
 ( function ( $ ) {
 	'use strict';
 
-	var template, ULS;
+	var template, ULS,
+		// Used for generating unique id attributes
+		idCounter = 0;
 
 	// Region numbers in id attributes also appear in the langdb.
 	// eslint-disable-next-line no-multi-str
@@ -32,48 +34,263 @@
 					<div class="uls-search-input-wrapper">\
 						<span class="uls-languagefilter-clear"></span>\
 						<input type="text" class="uls-filterinput uls-filtersuggestion"\
-							disabled="true" autocomplete="off">\
+							disabled="true" autocomplete="off" aria-hidden="true" tabindex="-1">\
 						<input type="text" class="uls-filterinput uls-languagefilter"\
 							data-clear="uls-languagefilter-clear"\
 							data-suggestion="uls-filtersuggestion"\
+							role="combobox" aria-autocomplete="list" aria-expanded="true"\
+							aria-label="Search for a language"\
 							placeholder="Search for a language" autocomplete="off">\
 					</div>\
 				</div>\
 			</div>\
 			<div class="row uls-language-list"></div>\
+			<div class="uls-status" role="status" aria-live="polite"></div>\
 			<div class="row" id="uls-settings-block"></div>\
 		</div>';
 
+	/**
+	 * Remove the languages unknown to ULS.
+	 * @param {Object} languages Language names keyed by language code
+	 * @return {Object} The given object
+	 */
+	function removeUnknownLanguages( languages ) {
+		var code;
+
+		for ( code in languages ) {
+			if ( $.uls.data.languages[ code ] === undefined ) {
+				delete languages[ code ];
+			}
+		}
+
+		return languages;
+	}
+
+	/**
+	 * Get the names of the languages in the user interface language.
+	 * @param {Object} languages Language code to name mapping
+	 * @param {string} [locale] Code of the user interface language
+	 * @return {Object} The languages with their names in the locale, where known
+	 */
+	function localizeLanguages( languages, locale ) {
+		var code,
+			localized = {};
+
+		if ( !locale ) {
+			return languages;
+		}
+
+		for ( code in languages ) {
+			localized[ code ] = $.uls.data.getLanguageName( code, locale ) || languages[ code ];
+		}
+
+		return localized;
+	}
+
+	/**
+	 * Get the languages in which the language search matches names,
+	 * in addition to the names in the languages option.
+	 * @param {Object} options ULS options
+	 * @return {string[]} Language codes
+	 */
+	function getSearchLocales( options ) {
+		return ( options.locale ? [ options.locale ] : [] ).concat( options.searchLocales );
+	}
+
+	/**
+	 * Check whether a command of the plugin returns a value instead of
+	 * the jQuery object, for example $el.uls( 'value' ).
+	 * @param {string} command
+	 * @param {Array} args Arguments of the command
+	 * @return {boolean}
+	 */
+	function isGetter( command, args ) {
+		switch ( command ) {
+			case 'value':
+				return args.length === 0;
+			case 'option':
+				return args.length === 1 && typeof args[ 0 ] === 'string';
+			case 'resolveLanguage':
+			case 'getRecentLanguages':
+				return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Store of recently selected languages. The languages are kept in
+	 * localStorage if it is available, and in memory otherwise.
+	 * @param {string} key Storage key
+	 * @param {number} size Maximum number of languages to remember
+	 */
+	function RecentLanguages( key, size ) {
+		this.key = key;
+		this.size = size;
+	}
+
+	// Fallback storage when localStorage is not available, keyed by storage key
+	RecentLanguages.memory = {};
+
+	RecentLanguages.prototype = {
+		/**
+		 * Get the recently selected languages, most recent first.
+		 * @return {string[]} Language codes
+		 */
+		get: function () {
+			var stored;
+
+			try {
+				stored = JSON.parse( localStorage.getItem( this.key ) );
+			} catch ( e ) {
+				// Not available or not valid, use the fallback
+			}
+
+			if ( !$.isArray( stored ) ) {
+				stored = RecentLanguages.memory[ this.key ];
+			}
+
+			return $.isArray( stored ) ? stored.slice( 0, this.size ) : [];
+		},
+
+		/**
+		 * Add a language as the most recently selected one.
+		 * @param {string} langCode
+		 */
+		add: function ( langCode ) {
+			var languages = this.get().filter( function ( code ) {
+				return code !== langCode;
+			} );
+
+			languages.unshift( langCode );
+			this.save( languages.slice( 0, this.size ) );
+		},
+
+		/**
+		 * Forget all the recently selected languages.
+		 */
+		clear: function () {
+			this.save( [] );
+		},
+
+		/**
+		 * @private
+		 * @param {string[]} languages
+		 */
+		save: function ( languages ) {
+			RecentLanguages.memory[ this.key ] = languages;
+
+			try {
+				localStorage.setItem( this.key, JSON.stringify( languages ) );
+			} catch ( e ) {
+				// Not available or full, the languages are kept in memory only
+			}
+		}
+	};
+
+	/**
+	 * Choose between the preferred and the alternative position on an axis,
+	 * depending on which one fits in the viewport.
+	 * @param {number} preferred
+	 * @param {number} alternative
+	 * @param {number} size Size of the menu on the axis
+	 * @param {number} min Start of the viewport on the axis
+	 * @param {number} max End of the viewport on the axis
+	 * @return {number}
+	 */
+	function flip( preferred, alternative, size, min, max ) {
+		var fits = function ( position ) {
+			return position >= min && position + size <= max;
+		};
+
+		return !fits( preferred ) && fits( alternative ) ? alternative : preferred;
+	}
+
 	/**
 	 * ULS Public class definition
-	 * @param {Element} element
+	 * @param {Element} element Trigger element, or the container in inline mode
 	 * @param {Object} options
 	 */
 	ULS = function ( element, options ) {
-		var code;
 		this.$element = $( element );
 		this.options = $.extend( {}, $.fn.uls.defaults, options );
 		this.$menu = $( template );
-		this.languages = this.options.languages;
-
-		for ( code in this.languages ) {
-			if ( $.uls.data.languages[ code ] === undefined ) {
-				// Language is unknown to ULS.
-				delete this.languages[ code ];
-			}
+		this.languages = localizeLanguages(
+			removeUnknownLanguages( this.options.languages ),
+			this.options.locale
+		);
+
+		if ( this.options.selected ) {
+			this.options.selected = $.isArray( this.options.selected ) ?
+				this.options.selected.map( this.resolveLanguage, this ) :
+				this.resolveLanguage( this.options.selected );
 		}
 
 		this.left = this.options.left;
 		this.top = this.options.top;
 		this.shown = false;
 		this.initialized = false;
+		this.id = 'uls-' + ( ++idCounter );
+		this.recentLanguages = this.options.recentLanguages ?
+			new RecentLanguages( this.options.recentLanguagesKey, this.options.recentLanguagesSize ) :
+			null;
+		// For events bound outside of the menu
+		this.eventNamespace = '.' + this.id;
 
 		this.$languageFilter = this.$menu.find( '.uls-languagefilter' );
 		this.$resultsView = this.$menu.find( '.uls-language-list' );
+		this.$status = this.$menu.find( '.uls-status' );
+
+		if ( this.options.multiple ) {
+			this.$selection = $( '<ul>' )
+				.addClass( 'uls-multiselect-chips' );
+			this.$limit = $( '<span>' )
+				.addClass( 'uls-multiselect-limit' );
+			this.$confirm = $( '<button>' )
+				.attr( {
+					type: 'button',
+					'data-i18n': 'uls-multiselect-confirm'
+				} )
+				.addClass( 'uls-multiselect-confirm' )
+				.text( 'Done' );
+			$( '<div>' )
+				.addClass( 'row uls-multiselect' )
+				.append( this.$selection, this.$limit, this.$confirm )
+				.insertAfter( this.$menu.find( '.uls-search' ) );
+			this.options.selected = $.makeArray( this.options.selected );
+			this.renderSelection();
+		}
+
+		this.$languageFilter.attr( {
+			id: this.id + '-languagefilter',
+			'aria-controls': this.id + '-languages'
+		} );
+		this.$menu.find( '.uls-search-label' ).attr( 'for', this.id + '-languagefilter' );
+		this.$resultsView.attr( 'id', this.id + '-languages' );
+
+		if ( this.options.inline ) {
+			this.$menu.addClass( 'uls-inline' );
+		} else {
+			this.$element.attr( {
+				'aria-haspopup': this.options.dialog ? 'dialog' : 'true',
+				'aria-expanded': 'false'
+			} );
+		}
+
+		if ( this.options.dialog && !this.options.inline ) {
+			this.$menu.attr( {
+				role: 'dialog',
+				'aria-modal': 'true'
+			} );
+		}
 
 		this.render();
 		this.listen();
 		this.ready();
+
+		if ( this.options.inline ) {
+			this.show();
+		}
 	};
 
 	ULS.prototype = {
@@ -109,22 +326,82 @@
 		/**
 		 * Calculate the position of ULS
 		 * Returns an object with top and left properties.
+		 *
+		 * The menu is placed next to the trigger element according to the
+		 * placement option, on the opposite side if there is not enough room
+		 * in the viewport, and moved to fit inside the viewport horizontally.
+		 * With the center placement, the menu is placed in the middle of the
+		 * viewport instead.
+		 * Positions given in the top and left options are used as they are.
 		 * @return {Object}
 		 */
 		position: function () {
-			var pos,
+			var start, end, before, after,
+				$window = $( window ),
+				placement = this.options.placement,
+				rtl = this.$element.css( 'direction' ) === 'rtl',
 				top = this.top,
-				left = this.left;
-
-			if ( top === undefined ) {
-				pos = $.extend( {}, this.$element.offset(), {
+				left = this.left,
+				menuWidth = this.$menu.outerWidth(),
+				menuHeight = this.$menu.outerHeight(),
+				trigger = $.extend( {}, this.$element.offset(), {
+					width: this.$element.outerWidth(),
 					height: this.$element[ 0 ].offsetHeight
-				} );
-				top = pos.top + pos.height;
+				} ),
+				viewport = {
+					top: $window.scrollTop(),
+					left: $window.scrollLeft(),
+					width: $window.width(),
+					height: $window.height()
+				};
+
+			if ( placement === 'center' ) {
+				if ( top === undefined ) {
+					top = viewport.top + Math.max( 0, ( viewport.height - menuHeight ) / 2 );
+				}
+
+				if ( left === undefined ) {
+					left = viewport.left + ( viewport.width - menuWidth ) / 2;
+				}
+			} else if ( placement === 'start' || placement === 'end' ) {
+				before = trigger.left - menuWidth;
+				after = trigger.left + trigger.width;
+				start = rtl ? after : before;
+				end = rtl ? before : after;
+
+				if ( top === undefined ) {
+					top = Math.max( viewport.top,
+						Math.min( trigger.top, viewport.top + viewport.height - menuHeight ) );
+				}
+
+				if ( left === undefined ) {
+					left = placement === 'start' ?
+						flip( start, end, menuWidth, viewport.left, viewport.left + viewport.width ) :
+						flip( end, start, menuWidth, viewport.left, viewport.left + viewport.width );
+				}
+			} else {
+				before = trigger.top - menuHeight;
+				after = trigger.top + trigger.height;
+
+				if ( top === undefined ) {
+					top = placement === 'above' ?
+						flip( before, after, menuHeight, viewport.top, viewport.top + viewport.height ) :
+						flip( after, before, menuHeight, viewport.top, viewport.top + viewport.height );
+				}
+
+				if ( left === undefined ) {
+					if ( placement === 'below' || placement === 'above' ) {
+						// Align the start edges
+						left = rtl ? trigger.left + trigger.width - menuWidth : trigger.left;
+					} else {
+						left = viewport.left + ( viewport.width - menuWidth ) / 2;
+					}
+				}
 			}
 
-			if ( left === undefined ) {
-				left = $( window ).width() / 2 - this.$menu.outerWidth() / 2;
+			if ( this.left === undefined ) {
+				left = Math.max( viewport.left,
+					Math.min( left, viewport.left + viewport.width - menuWidth ) );
 			}
 
 			return {
@@ -134,52 +411,133 @@
 		},
 
 		/**
-		 * Show the ULS window
+		 * Move the menu to follow the trigger element, for example after
+		 * the window has been resized or scrolled.
+		 */
+		reposition: function () {
+			if ( this.shown && !this.options.inline ) {
+				this.$menu.css( this.position() );
+			}
+		},
+
+		/**
+		 * Show the ULS window.
+		 * Triggers the cancelable ulsbeforeshow event and then ulsshow
+		 * on the trigger element.
 		 */
 		show: function () {
-			var widthClasses = {
-				wide: 'uls-wide',
-				medium: 'uls-medium',
-				narrow: 'uls-narrow'
-			};
+			var event = $.Event( 'ulsbeforeshow' );
+
+			this.$element.trigger( event );
+			if ( event.isDefaultPrevented() ) {
+				return;
+			}
 
-			this.$menu.addClass( widthClasses[ this.getMenuWidth() ] );
+			this.setMenuWidthClass();
 
 			if ( !this.initialized ) {
-				$( 'body' ).prepend( this.$menu );
+				if ( this.options.inline ) {
+					this.$element.append( this.$menu );
+				} else {
+					$( 'body' ).prepend( this.$menu );
+				}
 				this.i18n();
 				this.initialized = true;
 			}
 
-			this.$menu.css( this.position() );
-			this.$menu.show();
-			this.$menu.scrollIntoView();
 			this.shown = true;
 
-			if ( !this.isMobile() ) {
-				this.$languageFilter.focus();
+			if ( this.options.inline ) {
+				this.$menu.show();
+			} else {
+				this.$menu.css( this.position() );
+				this.$menu.show();
+				this.$menu.scrollIntoView();
+				this.$element.attr( 'aria-expanded', 'true' );
+
+				$( window ).on(
+					'resize' + this.eventNamespace + ' scroll' + this.eventNamespace,
+					$.proxy( this.reposition, this )
+				);
+
+				if ( !this.isMobile() ) {
+					this.$languageFilter.focus();
+				}
 			}
 
+			this.lcd.scrollToSelected();
 			this.visible();
+			this.$element.trigger( 'ulsshow' );
+		},
+
+		/**
+		 * Apply the class for the current menu width
+		 */
+		setMenuWidthClass: function () {
+			var widthClasses = {
+				wide: 'uls-wide',
+				medium: 'uls-medium',
+				narrow: 'uls-narrow'
+			};
+
+			this.$menu.removeClass( 'uls-wide uls-medium uls-narrow' )
+				.addClass( widthClasses[ this.getMenuWidth() ] );
 		},
 
 		i18n: function () {
 			if ( $.i18n ) {
 				this.$menu.find( '[data-i18n]' ).i18n();
-				this.$languageFilter.prop( 'placeholder', $.i18n( 'uls-search-placeholder' ) );
+				this.$languageFilter.prop( 'placeholder', $.i18n( 'uls-search-placeholder' ) )
+					.attr( 'aria-label', $.i18n( 'uls-search-placeholder' ) );
 			}
 		},
 
 		/**
-		 * Hide the ULS window
+		 * Hide the ULS window.
+		 * If the window was shown, triggers the cancelable ulsbeforehide event
+		 * and then ulshide on the trigger element, both with the reason for
+		 * hiding as an extra parameter.
+		 * @param {string} [reason] Why the window is hidden: select or cancel.
+		 *  Default is cancel.
 		 */
-		hide: function () {
+		hide: function ( reason ) {
+			var event,
+				wasShown = this.shown,
+				activeElement = document.activeElement;
+
+			reason = reason || 'cancel';
+
+			if ( wasShown ) {
+				event = $.Event( 'ulsbeforehide' );
+				this.$element.trigger( event, [ reason ] );
+				if ( event.isDefaultPrevented() ) {
+					return;
+				}
+			}
+
 			this.$menu.hide();
 			this.shown = false;
+			$( window ).off( this.eventNamespace );
+
+			if ( !this.options.inline ) {
+				this.$element.attr( 'aria-expanded', 'false' );
+			}
+
+			// Do not leave the focus in the hidden menu, but do not take it
+			// from elsewhere either, if the menu was closed by clicking outside.
+			if ( wasShown && ( !activeElement || activeElement === document.body ||
+				$.contains( this.$menu[ 0 ], activeElement ) )
+			) {
+				$( this.options.focusTarget || this.$element ).focus();
+			}
 
 			if ( this.options.onCancel ) {
 				this.options.onCancel.call( this );
 			}
+
+			if ( wasShown ) {
+				this.$element.trigger( 'ulshide', [ reason ] );
+			}
 		},
 
 		/**
@@ -198,24 +556,52 @@
 		},
 
 		/**
-		 * Bind the UI elements with their event listeners
+		 * Announce the outcome of a search to assistive technologies.
+		 * @param {jQuery.Event} event
+		 * @param {string} query
+		 * @param {number} [count] Number of languages found
 		 */
-		listen: function () {
-			var lcd, columnsOptions, languagesCount;
+		announceResults: function ( event, query, count ) {
+			var message = '';
+
+			if ( query && event.type === 'noresults' ) {
+				message = $.i18n ? $.i18n( 'uls-no-results-found' ) : 'No results found';
+			} else if ( query ) {
+				message = $.i18n ?
+					$.i18n( 'uls-search-results-count', count ) :
+					( count === 1 ? 'One language found' : count + ' languages found' );
+			}
 
-			columnsOptions = {
-				wide: 4,
-				medium: 2,
-				narrow: 1
-			};
+			this.$status.text( message );
+		},
+
+		/**
+		 * Keep the active descendant of the search box in sync with the
+		 * active item of the language list.
+		 * @param {jQuery.Event} event
+		 * @param {string} [id] Id of the active item
+		 */
+		activeItemChange: function ( event, id ) {
+			if ( id ) {
+				this.$languageFilter.attr( 'aria-activedescendant', id );
+			} else {
+				this.$languageFilter.removeAttr( 'aria-activedescendant' );
+			}
+		},
 
+		/**
+		 * Bind the UI elements with their event listeners
+		 */
+		listen: function () {
 			// Register all event listeners to the ULS here.
-			this.$element.on( 'click', $.proxy( this.click, this ) );
+			if ( !this.options.inline ) {
+				this.$element.on( 'click' + this.eventNamespace, $.proxy( this.click, this ) );
 
-			// Don't do anything if pressing on empty space in the ULS
-			this.$menu.on( 'click', function ( e ) {
-				e.stopPropagation();
-			} );
+				// Don't do anything if pressing on empty space in the ULS
+				this.$menu.on( 'click', function ( e ) {
+					e.stopPropagation();
+				} );
+			}
 
 			// Handle key press events on the menu
 			this.$menu.on( 'keypress', $.proxy( this.keypress, this ) )
@@ -225,42 +611,390 @@
 				this.$menu.on( 'keydown', $.proxy( this.keypress, this ) );
 			}
 
-			languagesCount = Object.keys( this.options.languages ).length;
-			lcd = this.$resultsView.lcd( {
+			this.lcd = this.$resultsView.lcd( $.extend( this.getLcdOptions(), {
+				clickhandler: $.proxy( this.select, this )
+			} ) ).data( 'lcd' );
+
+			this.languageFilter = this.$languageFilter.languagefilter( {
+				lcd: this.lcd,
+				languages: this.languages,
+				locales: getSearchLocales( this.options ),
+				fuzzy: this.options.fuzzySearch,
+				searchAPI: this.options.searchAPI,
+				onSelect: function ( langCode ) {
+					this.select( langCode, 'enter' );
+				}.bind( this )
+			} ).data( 'languagefilter' );
+
+			if ( this.options.multiple ) {
+				this.$selection.on( 'click', '.uls-multiselect-chip-remove', function ( e ) {
+					this.toggle( $( e.target ).closest( 'li' ).data( 'code' ) );
+				}.bind( this ) );
+				this.$confirm.on( 'click', $.proxy( this.confirm, this ) );
+			}
+
+			this.$languageFilter.on( 'noresults.uls', $.proxy( this.lcd.noResults, this.lcd ) );
+			this.$languageFilter.on( 'resultsfound.uls', $.proxy( this.success, this ) );
+			this.$languageFilter.on( 'noresults.uls resultsfound.uls', $.proxy( this.announceResults, this ) );
+			this.$resultsView.on( 'activeitemchange.uls', $.proxy( this.activeItemChange, this ) );
+
+			if ( !this.options.inline ) {
+				$( 'html' ).on( 'click' + this.eventNamespace, $.proxy( this.cancel, this ) );
+			}
+		},
+
+		/**
+		 * Get the options for the language category display
+		 * @return {Object}
+		 */
+		getLcdOptions: function () {
+			var columnsOptions = {
+					wide: 4,
+					medium: 2,
+					narrow: 1
+				},
+				languagesCount = Object.keys( this.options.languages ).length;
+
+			return {
 				languages: this.languages,
 				columns: columnsOptions[ this.getMenuWidth() ],
 
-				quickList: languagesCount > 12 ? this.options.quickList : [],
-				clickhandler: $.proxy( this.select, this ),
+				quickList: languagesCount > 12 ? this.getQuickList() : [],
+				recentLanguages: languagesCount > 12 ? this.getRecentLanguages() : [],
 				showRegions: this.options.showRegions,
 				languageDecorator: this.options.languageDecorator,
 				noResultsTemplate: this.options.noResultsTemplate,
 				itemsPerColumn: this.options.itemsPerColumn,
-				groupByRegion: this.options.groupByRegion
-			} ).data( 'lcd' );
+				groupByRegion: this.options.groupByRegion,
+				selected: $.makeArray( this.options.selected ),
+				multiple: this.options.multiple,
+				maxSelected: this.options.multiple ? this.options.maxSelected : undefined
+			};
+		},
 
-			this.$languageFilter.languagefilter( {
-				lcd: lcd,
-				languages: this.languages,
-				searchAPI: this.options.searchAPI,
-				onSelect: $.proxy( this.select, this )
-			} );
+		/**
+		 * Get the suggested languages for the language list. If the territory
+		 * option is given, the languages suggested for it are added after the
+		 * ones in the quickList option.
+		 * @return {Function|string[]}
+		 */
+		getQuickList: function () {
+			var quickList = this.options.quickList;
 
-			this.$languageFilter.on( 'noresults.uls', $.proxy( lcd.noResults, lcd ) );
-			this.$languageFilter.on( 'resultsfound.uls', $.proxy( this.success, this ) );
+			if ( !this.options.territory ) {
+				return quickList;
+			}
+
+			return function () {
+				var languages = $.isFunction( quickList ) ? quickList() : quickList;
+
+				return languages.concat( $.uls.data.getSuggestedLanguages( {
+					territories: this.options.territory,
+					recent: this.getRecentLanguages()
+				} ).filter( function ( code ) {
+					return this.languages[ code ] && languages.indexOf( code ) === -1;
+				}.bind( this ) ) );
+			}.bind( this );
+		},
+
+		/**
+		 * Get or change options after ULS has been initialized.
+		 * Changing any of the options affecting the language list renders
+		 * it again and repeats the current search. Changing an option to
+		 * undefined resets it to its default value.
+		 *
+		 * @param {string|Object} key Option name, or an object of options to change
+		 * @param {Mixed} [value] New value of the option
+		 * @return {Mixed} Value of the option, if only its name was given
+		 */
+		option: function ( key, value ) {
+			var name,
+				options = key,
+				renderingOptions = [ 'languages', 'locale', 'searchLocales', 'fuzzySearch', 'quickList', 'territory',
+					'showRegions', 'menuWidth', 'languageDecorator', 'noResultsTemplate', 'itemsPerColumn',
+					'groupByRegion' ];
+
+			if ( typeof key === 'string' ) {
+				if ( arguments.length < 2 ) {
+					return this.options[ key ];
+				}
+
+				options = {};
+				options[ key ] = value;
+			}
+
+			for ( name in options ) {
+				this.options[ name ] = options[ name ] === undefined ?
+					$.fn.uls.defaults[ name ] :
+					options[ name ];
+			}
+
+			if ( 'languages' in options || 'locale' in options ) {
+				this.languages = localizeLanguages(
+					removeUnknownLanguages( this.options.languages ),
+					this.options.locale
+				);
+				this.languageFilter.options.languages = this.languages;
+			}
+
+			if ( 'locale' in options || 'searchLocales' in options ) {
+				this.languageFilter.options.locales = getSearchLocales( this.options );
+			}
+
+			if ( 'fuzzySearch' in options ) {
+				this.languageFilter.options.fuzzy = this.options.fuzzySearch;
+			}
+
+			if ( 'maxSelected' in options && this.options.multiple ) {
+				this.lcd.options.maxSelected = this.options.maxSelected;
+				this.value( this.options.selected );
+			}
+
+			if ( 'selected' in options ) {
+				this.value( this.options.selected );
+			}
+
+			if ( 'top' in options ) {
+				this.top = this.options.top;
+			}
+
+			if ( 'left' in options ) {
+				this.left = this.options.left;
+			}
+
+			if ( Object.keys( options ).some( function ( name ) {
+				return renderingOptions.indexOf( name ) !== -1;
+			} ) ) {
+				this.refresh();
+			}
+
+			if ( this.shown ) {
+				this.setMenuWidthClass();
+				this.$menu.css( this.position() );
+			}
+		},
+
+		/**
+		 * Render the language list again with the current options,
+		 * keeping the current search.
+		 */
+		refresh: function () {
+			$.extend( this.lcd.options, this.getLcdOptions() );
+			this.lcd.refresh();
+			this.languageFilter.refresh();
+		},
+
+		/**
+		 * Get the recently selected languages, if they are remembered.
+		 * @return {string[]} Language codes, most recent first
+		 */
+		getRecentLanguages: function () {
+			return this.recentLanguages ? this.recentLanguages.get() : [];
+		},
+
+		/**
+		 * Forget the recently selected languages.
+		 */
+		clearRecentLanguages: function () {
+			if ( this.recentLanguages ) {
+				this.recentLanguages.clear();
+				this.refreshQuicklist();
+			}
+		},
+
+		/**
+		 * Render the suggested languages again after the recently selected
+		 * languages have changed, without rendering the whole language list.
+		 */
+		refreshQuicklist: function () {
+			var lcdOptions = this.getLcdOptions();
+
+			this.lcd.options.quickList = lcdOptions.quickList;
+			this.lcd.options.recentLanguages = lcdOptions.recentLanguages;
+			this.lcd.refreshQuicklist();
+
+			if ( this.languageFilter.$element.val() ) {
+				// The suggestions are not shown with search results
+				this.lcd.empty();
+			}
+		},
+
+		/**
+		 * Get or set the selected language. Setting it does not trigger
+		 * any of the selection callbacks or events.
+		 * @param {string|string[]} [langCode] Code of the language to select,
+		 *  or an array of codes in multiple selection mode
+		 * @return {string|string[]|undefined} Code of the selected language,
+		 *  or an array of codes in multiple selection mode, if no code was given
+		 */
+		value: function ( langCode ) {
+			if ( arguments.length === 0 ) {
+				return this.options.multiple ? this.options.selected.slice() : this.options.selected;
+			}
+
+			if ( this.options.multiple ) {
+				this.options.selected = $.makeArray( langCode ).map( this.resolveLanguage, this );
+				this.renderSelection();
+			} else {
+				this.options.selected = langCode && this.resolveLanguage( langCode );
+			}
+
+			this.lcd.setSelected( $.makeArray( this.options.selected ) );
+		},
+
+		/**
+		 * Find the language offered by this selector for a language, following
+		 * its fallback chain if the language itself is not offered.
+		 * @param {string} langCode
+		 * @return {string} Language code, or the given code if neither it nor
+		 *  any of its fallbacks is offered.
+		 */
+		resolveLanguage: function ( langCode ) {
+			var fallbacks;
+
+			if ( this.languages[ langCode ] !== undefined ) {
+				return langCode;
+			}
+
+			fallbacks = $.uls.data.getFallbacks( langCode ).filter( function ( code ) {
+				return this.languages[ code ] !== undefined;
+			}, this );
 
-			$( 'html' ).click( $.proxy( this.cancel, this ) );
+			return fallbacks.length ? fallbacks[ 0 ] : langCode;
 		},
 
 		/**
-		 * On select handler for search results
+		 * Add a language to the selection, or remove it if it is already
+		 * selected, in multiple selection mode.
 		 * @param {string} langCode
 		 */
-		select: function ( langCode ) {
-			this.hide();
+		toggle: function ( langCode ) {
+			var selected = this.value(),
+				index = selected.indexOf( langCode );
+
+			if ( index !== -1 ) {
+				selected.splice( index, 1 );
+			} else if ( this.lcd.isSelectionFull() ) {
+				this.$status.text( this.$limit.text() );
+				return;
+			} else {
+				selected.push( langCode );
+			}
+
+			this.value( selected );
+		},
+
+		/**
+		 * Select the languages chosen in multiple selection mode.
+		 */
+		confirm: function () {
+			this.select( this.value(), 'confirm' );
+		},
+
+		/**
+		 * Show the languages selected in multiple selection mode as chips
+		 * that can be removed from the selection.
+		 */
+		renderSelection: function () {
+			var removeLabel = $.i18n ? $.i18n( 'uls-multiselect-remove' ) : 'Remove',
+				maxSelected = this.options.maxSelected;
+
+			// Tell why the other languages cannot be selected
+			this.$limit.text( maxSelected && this.options.selected.length >= maxSelected ?
+				( $.i18n ?
+					$.i18n( 'uls-multiselect-limit', maxSelected ) :
+					'You can select up to ' + maxSelected + ' languages' ) :
+				'' );
+
+			this.$selection.empty().append( this.options.selected.map( function ( code ) {
+				return $( '<li>' )
+					.addClass( 'uls-multiselect-chip' )
+					.attr( 'data-code', code )
+					.append(
+						$( '<span>' )
+							.attr( {
+								lang: code,
+								dir: $.uls.data.getDir( code )
+							} )
+							.text( $.uls.data.getAutonym( code ) ),
+						$( '<button>' )
+							.attr( {
+								type: 'button',
+								title: removeLabel,
+								'aria-label': removeLabel
+							} )
+							.addClass( 'uls-multiselect-chip-remove' )
+					);
+			} ) );
+		},
+
+		/**
+		 * Remove the menu and all event handlers, and detach ULS
+		 * from the trigger element.
+		 */
+		destroy: function () {
+			this.languageFilter.destroy();
+			this.lcd.destroy();
+			this.$menu.remove();
+
+			this.$element
+				.off( this.eventNamespace )
+				.removeAttr( 'aria-haspopup aria-expanded' );
+			$( 'html' ).off( this.eventNamespace );
+			$( window ).off( this.eventNamespace );
+
+			if ( this.$element.data( 'uls' ) === this ) {
+				this.$element.removeData( 'uls' );
+			}
+
+			this.shown = false;
+		},
+
+		/**
+		 * On select handler for search results.
+		 * Triggers the cancelable ulsbeforeselect event and then ulsselect
+		 * on the trigger element, both with the language code and the source
+		 * of the selection as extra parameters.
+		 *
+		 * In multiple selection mode, a single language is toggled in the
+		 * selection instead, and the events are triggered with the array of
+		 * selected languages when the selection is confirmed.
+		 * @param {string|string[]} langCode
+		 * @param {string} [source] How the language was selected: click, enter,
+		 *  quicklist or confirm
+		 */
+		select: function ( langCode, source ) {
+			var event = $.Event( 'ulsbeforeselect' );
+
+			if ( this.options.multiple && !$.isArray( langCode ) ) {
+				this.toggle( langCode );
+				return;
+			}
+
+			this.$element.trigger( event, [ langCode, source ] );
+			if ( event.isDefaultPrevented() ) {
+				return;
+			}
+
+			this.value( langCode );
+
+			if ( this.recentLanguages ) {
+				// Add in reverse so that the first one becomes the most recent
+				$.makeArray( langCode ).reverse().forEach( function ( code ) {
+					this.recentLanguages.add( code );
+				}.bind( this ) );
+				this.refreshQuicklist();
+			}
+
+			if ( !this.options.inline ) {
+				this.hide( 'select' );
+			}
+
 			if ( this.options.onSelect ) {
 				this.options.onSelect.call( this, langCode );
 			}
+
+			this.$element.trigger( 'ulsselect', [ langCode, source ] );
 		},
 
 		/**
@@ -272,11 +1006,11 @@
 				return;
 			}
 
-			this.hide();
+			this.hide( 'cancel' );
 		},
 
 		keyup: function ( e ) {
-			if ( !this.shown ) {
+			if ( !this.shown || this.options.inline ) {
 				return;
 			}
 
@@ -292,11 +1026,42 @@
 				return;
 			}
 
-			if ( e.keyCode === 27 ) { // escape
+			if ( e.keyCode === 27 && !this.options.inline ) { // escape
 				this.cancel();
 				e.preventDefault();
 				e.stopPropagation();
 			}
+
+			if ( e.keyCode === 9 && e.type === 'keydown' && this.options.dialog && !this.options.inline ) { // tab
+				this.trapFocus( e );
+			}
+		},
+
+		/**
+		 * Keep the focus inside the menu by moving it from the last
+		 * focusable element to the first one and vice versa.
+		 * @param {jQuery.Event} e Tab key event
+		 */
+		trapFocus: function ( e ) {
+			var index,
+				$focusable = this.$menu
+					.find( 'a[href], area[href], input, select, textarea, button, [tabindex]' )
+					.filter( ':visible' )
+					.not( ':disabled, [tabindex="-1"]' );
+
+			index = $focusable.index( e.target );
+
+			if ( !$focusable.length ) {
+				return;
+			}
+
+			if ( e.shiftKey && index <= 0 ) {
+				$focusable.last().focus();
+				e.preventDefault();
+			} else if ( !e.shiftKey && ( index === -1 || index === $focusable.length - 1 ) ) {
+				$focusable.first().focus();
+				e.preventDefault();
+			}
 		},
 
 		click: function () {
@@ -351,19 +1116,34 @@
 	 * =========================== */
 
 	$.fn.uls = function ( option ) {
-		return this.each( function () {
+		var value,
+			args = Array.prototype.slice.call( arguments, 1 ),
+			getter = typeof option === 'string' && isGetter( option, args );
+
+		this.each( function () {
 			var $this = $( this ),
 				data = $this.data( 'uls' ),
 				options = typeof option === 'object' && option;
 
 			if ( !data ) {
+				if ( option === 'destroy' ) {
+					return;
+				}
+
 				$this.data( 'uls', ( data = new ULS( this, options ) ) );
 			}
 
 			if ( typeof option === 'string' ) {
-				data[ option ]();
+				value = data[ option ].apply( data, args );
+
+				// Getters return the value for the first element only
+				if ( getter ) {
+					return false;
+				}
 			}
 		} );
+
+		return getter ? value : this;
 	};
 
 	$.fn.uls.defaults = {
@@ -371,6 +1151,9 @@
 		top: undefined,
 		// CSS left position for the dialog
 		left: undefined,
+		// Where to show the dialog relative to the trigger element: below, above,
+		// start or end. By default it is shown below, centered in the window.
+		placement: undefined,
 		// Callback function when user selects a language
 		onSelect: undefined,
 		// Callback function when the dialog is closed without selecting a language
@@ -379,13 +1162,39 @@
 		onReady: undefined,
 		// Callback function when ULS dialog is shown
 		onVisible: undefined,
+		// Code of the selected language, see also the value method.
+		// An array of codes in multiple selection mode.
+		selected: undefined,
+		// Whether the user can select several languages, which are passed
+		// to onSelect as an array when the selection is confirmed
+		multiple: false,
+		// Maximum number of languages in multiple selection mode
+		maxSelected: undefined,
+		// Whether to render the menu permanently inside the element
+		// instead of showing it when the element is clicked
+		inline: false,
+		// Whether the menu is a modal dialog, which keeps the keyboard focus
+		// inside it while it is shown
+		dialog: false,
+		// Element to focus when the menu is hidden, defaults to the trigger element
+		focusTarget: undefined,
 		// Languages to be used for ULS, default is all languages
 		languages: $.uls.data.getAutonyms(),
+		// Code of the user interface language. If given, the names of the languages
+		// are replaced by their names in it, where they are known.
+		locale: undefined,
+		// Codes of more languages in which the language names are searched,
+		// for example [ 'en' ]
+		searchLocales: [],
+		// Whether the search finds language names with typos in the search string
+		fuzzySearch: false,
 		// The options are wide (4 columns), medium (2 columns), and narrow (1 column).
 		// If not specified, it will be set automatically.
 		menuWidth: undefined,
 		// Used by LCD
 		quickList: [],
+		// Territory code or codes, whose languages are suggested in addition to the quickList
+		territory: undefined,
 		// Used by LCD
 		showRegions: undefined,
 		// Used by LCD
@@ -394,10 +1203,72 @@
 		itemsPerColumn: undefined,
 		// Used by LCD
 		groupByRegion: undefined,
+		// Whether to remember the selected languages and suggest them in the quick list
+		recentLanguages: false,
+		// Storage key for the recently selected languages
+		recentLanguagesKey: 'uls-recent-languages',
+		// Number of recently selected languages to remember
+		recentLanguagesSize: 5,
 		// Used by LanguageFilter
 		searchAPI: undefined
 	};
 
+	/**
+	 * Ask the user to pick a language. Opens a language selector below the
+	 * anchor element, or in the middle of the window if there is no anchor,
+	 * and removes it after it has been closed.
+	 *
+	 * @param {Object} [options] ULS options, and additionally:
+	 * @param {Element|jQuery} [options.anchor] Element to show the selector at
+	 * @return {jQuery.Promise} Resolved with the selected language code,
+	 *  or rejected if the selector was closed without selecting a language,
+	 *  or if a ulsbeforeshow handler prevented showing it.
+	 */
+	$.uls.pick = function ( options ) {
+		var uls, $anchor,
+			deferred = $.Deferred();
+
+		options = $.extend( {}, options );
+		$anchor = options.anchor ? $( options.anchor ).first() : $( '<div>' );
+
+		if ( !options.anchor ) {
+			options.placement = 'center';
+
+			if ( !options.focusTarget ) {
+				options.focusTarget = document.activeElement;
+			}
+		}
+
+		uls = new ULS( $anchor[ 0 ], options );
+
+		$anchor.on( 'ulsselect' + uls.eventNamespace, function ( e, langCode ) {
+			deferred.resolve( langCode );
+		} ).on( 'ulshide' + uls.eventNamespace, function ( e, reason ) {
+			if ( reason === 'cancel' ) {
+				deferred.reject();
+			}
+		} );
+
+		deferred.always( function () {
+			setTimeout( function () {
+				uls.destroy();
+			} );
+		} );
+
+		// Let the event that asked for the selector, if any, finish bubbling
+		// first. Otherwise a click would close the selector immediately.
+		setTimeout( function () {
+			uls.show();
+
+			if ( !uls.shown ) {
+				// A ulsbeforeshow handler prevented showing the selector
+				deferred.reject();
+			}
+		} );
+
+		return deferred.promise();
+	};
+
 	// Define a dummy i18n function, if jquery.i18n not integrated.
 	if ( !$.fn.i18n ) {
 		$.fn.i18n = function () {};
@@ -433,4 +1304,5 @@
 	};
 
 	$.fn.uls.Constructor = ULS;
+	$.fn.uls.RecentLanguages = RecentLanguages;
 }( jQuery ) );
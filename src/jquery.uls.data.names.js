@@ -0,0 +1,338 @@
+/**
+ * English names of scripts, territories and regions, used for searching
+ * languages by the script they are written in and where they are spoken.
+ * Names in other languages can be added with $.uls.data.addScriptNames,
+ * $.uls.data.addTerritoryNames and $.uls.data.addRegionNames.
+ *
+ * Copyright (C) 2012 Alolita Sharma, Amir Aharoni, Arun Ganesh, Brandon Harris,
+ * Niklas Laxström, Pau Giner, Santhosh Thottingal, Siebrand Mazeland and other
+ * contributors. See CREDITS for a list.
+ *
+ * UniversalLanguageSelector is dual licensed GPLv2 or later and MIT. You don't
+ * have to do anything special to choose one license or the other and you don't
+ * have to notify anyone which license you are using. You are free to use
+ * UniversalLanguageSelector in commercial projects as long as the copyright
+ * header is left intact. See files GPL-LICENSE and MIT-LICENSE for details.
+ *
+ * @file
+ * @ingroup Extensions
+ * @licence GNU General Public Licence 2.0 or later
+ * @licence MIT License
+ */
+
+( function ( $ ) {
+	'use strict';
+
+	$.uls.data.addScriptNames( 'en', {
+		Arab: 'Arabic',
+		Armn: 'Armenian',
+		Bali: 'Balinese',
+		Batk: 'Batak',
+		Beng: 'Bengali',
+		Bugi: 'Buginese',
+		Cans: 'Unified Canadian Aboriginal Syllabics',
+		Cher: 'Cherokee',
+		Copt: 'Coptic',
+		Cyrl: 'Cyrillic',
+		Deva: 'Devanagari',
+		Ethi: 'Ethiopic',
+		Geor: 'Georgian',
+		Goth: 'Gothic',
+		Grek: 'Greek',
+		Gujr: 'Gujarati',
+		Guru: 'Gurmukhi',
+		Hans: 'Simplified Han',
+		Hant: 'Traditional Han',
+		Hebr: 'Hebrew',
+		Java: 'Javanese',
+		Jpan: 'Japanese',
+		Kana: 'Katakana',
+		Khmr: 'Khmer',
+		Knda: 'Kannada',
+		Kore: 'Korean',
+		Laoo: 'Lao',
+		Latn: 'Latin',
+		Mlym: 'Malayalam',
+		Mong: 'Mongolian',
+		Mymr: 'Myanmar',
+		Nkoo: 'N’Ko',
+		Orya: 'Odia',
+		Saur: 'Saurashtra',
+		Sgnw: 'SignWriting',
+		Sinh: 'Sinhala',
+		Syrc: 'Syriac',
+		Taml: 'Tamil',
+		Telu: 'Telugu',
+		Tfng: 'Tifinagh',
+		Thaa: 'Thaana',
+		Thai: 'Thai',
+		Tibt: 'Tibetan',
+		Wara: 'Warang Citi',
+		Yiii: 'Yi'
+	} );
+
+	$.uls.data.addTerritoryNames( 'en', {
+		AC: 'Ascension Island',
+		AD: 'Andorra',
+		AE: 'United Arab Emirates',
+		AF: 'Afghanistan',
+		AG: 'Antigua and Barbuda',
+		AI: 'Anguilla',
+		AL: 'Albania',
+		AM: 'Armenia',
+		AO: 'Angola',
+		AR: 'Argentina',
+		AS: 'American Samoa',
+		AT: 'Austria',
+		AU: 'Australia',
+		AW: 'Aruba',
+		AX: 'Åland Islands',
+		AZ: 'Azerbaijan',
+		BA: 'Bosnia and Herzegovina',
+		BB: 'Barbados',
+		BD: 'Bangladesh',
+		BE: 'Belgium',
+		BF: 'Burkina Faso',
+		BG: 'Bulgaria',
+		BH: 'Bahrain',
+		BI: 'Burundi',
+		BJ: 'Benin',
+		BL: 'St. Barthélemy',
+		BM: 'Bermuda',
+		BN: 'Brunei',
+		BO: 'Bolivia',
+		BQ: 'Caribbean Netherlands',
+		BR: 'Brazil',
+		BS: 'Bahamas',
+		BT: 'Bhutan',
+		BW: 'Botswana',
+		BY: 'Belarus',
+		BZ: 'Belize',
+		CA: 'Canada',
+		CC: 'Cocos (Keeling) Islands',
+		CD: 'Congo - Kinshasa',
+		CF: 'Central African Republic',
+		CG: 'Congo - Brazzaville',
+		CH: 'Switzerland',
+		CI: 'Côte d’Ivoire',
+		CK: 'Cook Islands',
+		CL: 'Chile',
+		CM: 'Cameroon',
+		CN: 'China',
+		CO: 'Colombia',
+		CR: 'Costa Rica',
+		CU: 'Cuba',
+		CV: 'Cape Verde',
+		CW: 'Curaçao',
+		CX: 'Christmas Island',
+		CY: 'Cyprus',
+		CZ: 'Czechia',
+		DE: 'Germany',
+		DG: 'Diego Garcia',
+		DJ: 'Djibouti',
+		DK: 'Denmark',
+		DM: 'Dominica',
+		DO: 'Dominican Republic',
+		DZ: 'Algeria',
+		EA: 'Ceuta and Melilla',
+		EC: 'Ecuador',
+		EE: 'Estonia',
+		EG: 'Egypt',
+		EH: 'Western Sahara',
+		ER: 'Eritrea',
+		ES: 'Spain',
+		ET: 'Ethiopia',
+		FI: 'Finland',
+		FJ: 'Fiji',
+		FK: 'Falkland Islands',
+		FM: 'Micronesia',
+		FO: 'Faroe Islands',
+		FR: 'France',
+		GA: 'Gabon',
+		GB: 'United Kingdom',
+		GD: 'Grenada',
+		GE: 'Georgia',
+		GF: 'French Guiana',
+		GG: 'Guernsey',
+		GH: 'Ghana',
+		GI: 'Gibraltar',
+		GL: 'Greenland',
+		GM: 'Gambia',
+		GN: 'Guinea',
+		GP: 'Guadeloupe',
+		GQ: 'Equatorial Guinea',
+		GR: 'Greece',
+		GT: 'Guatemala',
+		GU: 'Guam',
+		GW: 'Guinea-Bissau',
+		GY: 'Guyana',
+		HK: 'Hong Kong SAR China',
+		HN: 'Honduras',
+		HR: 'Croatia',
+		HT: 'Haiti',
+		HU: 'Hungary',
+		IC: 'Canary Islands',
+		ID: 'Indonesia',
+		IE: 'Ireland',
+		IL: 'Israel',
+		IM: 'Isle of Man',
+		IN: 'India',
+		IO: 'British Indian Ocean Territory',
+		IQ: 'Iraq',
+		IR: 'Iran',
+		IS: 'Iceland',
+		IT: 'Italy',
+		JE: 'Jersey',
+		JM: 'Jamaica',
+		JO: 'Jordan',
+		JP: 'Japan',
+		KE: 'Kenya',
+		KG: 'Kyrgyzstan',
+		KH: 'Cambodia',
+		KI: 'Kiribati',
+		KM: 'Comoros',
+		KN: 'St. Kitts and Nevis',
+		KP: 'North Korea',
+		KR: 'South Korea',
+		KW: 'Kuwait',
+		KY: 'Cayman Islands',
+		KZ: 'Kazakhstan',
+		LA: 'Laos',
+		LB: 'Lebanon',
+		LC: 'St. Lucia',
+		LI: 'Liechtenstein',
+		LK: 'Sri Lanka',
+		LR: 'Liberia',
+		LS: 'Lesotho',
+		LT: 'Lithuania',
+		LU: 'Luxembourg',
+		LV: 'Latvia',
+		LY: 'Libya',
+		MA: 'Morocco',
+		MC: 'Monaco',
+		MD: 'Moldova',
+		ME: 'Montenegro',
+		MF: 'St. Martin',
+		MG: 'Madagascar',
+		MH: 'Marshall Islands',
+		MK: 'North Macedonia',
+		ML: 'Mali',
+		MM: 'Myanmar (Burma)',
+		MN: 'Mongolia',
+		MO: 'Macao SAR China',
+		MP: 'Northern Mariana Islands',
+		MQ: 'Martinique',
+		MR: 'Mauritania',
+		MS: 'Montserrat',
+		MT: 'Malta',
+		MU: 'Mauritius',
+		MV: 'Maldives',
+		MW: 'Malawi',
+		MX: 'Mexico',
+		MY: 'Malaysia',
+		MZ: 'Mozambique',
+		NA: 'Namibia',
+		NC: 'New Caledonia',
+		NE: 'Niger',
+		NF: 'Norfolk Island',
+		NG: 'Nigeria',
+		NI: 'Nicaragua',
+		NL: 'Netherlands',
+		NO: 'Norway',
+		NP: 'Nepal',
+		NR: 'Nauru',
+		NU: 'Niue',
+		NZ: 'New Zealand',
+		OM: 'Oman',
+		PA: 'Panama',
+		PE: 'Peru',
+		PF: 'French Polynesia',
+		PG: 'Papua New Guinea',
+		PH: 'Philippines',
+		PK: 'Pakistan',
+		PL: 'Poland',
+		PM: 'St. Pierre and Miquelon',
+		PN: 'Pitcairn Islands',
+		PR: 'Puerto Rico',
+		PS: 'Palestinian Territories',
+		PT: 'Portugal',
+		PW: 'Palau',
+		PY: 'Paraguay',
+		QA: 'Qatar',
+		RE: 'Réunion',
+		RO: 'Romania',
+		RS: 'Serbia',
+		RU: 'Russia',
+		RW: 'Rwanda',
+		SA: 'Saudi Arabia',
+		SB: 'Solomon Islands',
+		SC: 'Seychelles',
+		SD: 'Sudan',
+		SE: 'Sweden',
+		SG: 'Singapore',
+		SH: 'St. Helena',
+		SI: 'Slovenia',
+		SJ: 'Svalbard and Jan Mayen',
+		SK: 'Slovakia',
+		SL: 'Sierra Leone',
+		SM: 'San Marino',
+		SN: 'Senegal',
+		SO: 'Somalia',
+		SR: 'Suriname',
+		SS: 'South Sudan',
+		ST: 'São Tomé and Príncipe',
+		SV: 'El Salvador',
+		SX: 'Sint Maarten',
+		SY: 'Syria',
+		SZ: 'Eswatini',
+		TA: 'Tristan da Cunha',
+		TC: 'Turks and Caicos Islands',
+		TD: 'Chad',
+		TF: 'French Southern Territories',
+		TG: 'Togo',
+		TH: 'Thailand',
+		TJ: 'Tajikistan',
+		TK: 'Tokelau',
+		TL: 'Timor-Leste',
+		TM: 'Turkmenistan',
+		TN: 'Tunisia',
+		TO: 'Tonga',
+		TR: 'Türkiye',
+		TT: 'Trinidad and Tobago',
+		TV: 'Tuvalu',
+		TW: 'Taiwan',
+		TZ: 'Tanzania',
+		UA: 'Ukraine',
+		UG: 'Uganda',
+		UM: 'U.S. Outlying Islands',
+		US: 'United States',
+		UY: 'Uruguay',
+		UZ: 'Uzbekistan',
+		VA: 'Vatican City',
+		VC: 'St. Vincent and Grenadines',
+		VE: 'Venezuela',
+		VG: 'British Virgin Islands',
+		VI: 'U.S. Virgin Islands',
+		VN: 'Vietnam',
+		VU: 'Vanuatu',
+		WF: 'Wallis and Futuna',
+		WS: 'Samoa',
+		XK: 'Kosovo',
+		YE: 'Yemen',
+		YT: 'Mayotte',
+		ZA: 'South Africa',
+		ZM: 'Zambia',
+		ZW: 'Zimbabwe'
+	} );
+
+	$.uls.data.addRegionNames( 'en', {
+		WW: 'Worldwide',
+		SP: 'Special',
+		AM: 'America',
+		EU: 'Europe',
+		ME: 'Middle East',
+		AF: 'Africa',
+		AS: 'Asia',
+		PA: 'Pacific'
+	} );
+}( jQuery ) );
@@ -20,6 +20,181 @@
 ( function ( $ ) {
 	'use strict';
 
+	// Intl.DisplayNames objects, keyed by type of names and locale
+	var displayNames = {};
+
+	/**
+	 * Get the code of the language in the language data, also for
+	 * language tags that are not in the form used there.
+	 * @param {string} language Language code or tag
+	 * @return {string} Language code, or the given value if the language is unknown
+	 */
+	function resolve( language ) {
+		if ( !language || $.uls.data.languages[ language ] ) {
+			return language;
+		}
+
+		return $.uls.data.resolveLanguageTag( language ) || language;
+	}
+
+	/**
+	 * Get the language tags of the user's language preferences.
+	 * @param {string|string[]} [preferences] Language tags in order of preference,
+	 *  or the value of an Accept-Language header. Defaults to the languages
+	 *  preferred in the browser settings.
+	 * @return {string[]} Language tags, most preferred first
+	 */
+	function getPreferenceTags( preferences ) {
+		if ( preferences === undefined ) {
+			return navigator.languages ||
+				[ navigator.language || navigator.userLanguage ];
+		}
+
+		if ( typeof preferences === 'string' ) {
+			return $.uls.data.parseAcceptLanguage( preferences );
+		}
+
+		return preferences;
+	}
+
+	/**
+	 * Find out how well a language matches a language tag.
+	 * @param {string} tag Language tag
+	 * @param {string} code Language code
+	 * @return {Object|null} Object with the quality of the match, from 0 to 1,
+	 *  and the reason of the match, or null if the language does not match.
+	 */
+	function matchLanguage( tag, code ) {
+		var index, script, regions, quality,
+			normalized = String( tag ).toLowerCase().replace( /_/g, '-' ),
+			resolved = $.uls.data.resolveLanguageTag( normalized ) || normalized;
+
+		if ( code === normalized ) {
+			return { quality: 1, reason: 'exact' };
+		}
+
+		if ( $.uls.data.isRedirect( normalized ) === code || $.uls.data.isRedirect( code ) === normalized ) {
+			return { quality: 0.9, reason: 'redirect' };
+		}
+
+		index = $.uls.data.getFallbacks( normalized ).indexOf( code );
+		if ( index !== -1 ) {
+			return { quality: 0.8 - index * 0.05, reason: 'fallback' };
+		}
+
+		if ( code.split( '-' )[ 0 ] !== normalized.split( '-' )[ 0 ] ) {
+			return null;
+		}
+
+		script = $.uls.data.getScript( code );
+		if ( script !== 'Zyyy' && script === $.uls.data.getScript( resolved ) ) {
+			return { quality: 0.6, reason: 'script' };
+		}
+
+		regions = $.makeArray( $.uls.data.getRegions( resolved ) );
+		quality = $.grep( $.makeArray( $.uls.data.getRegions( code ) ), function ( region ) {
+			return region !== 'UNKNOWN' && regions.indexOf( region ) !== -1;
+		} ).length ? 0.5 : 0.4;
+
+		return { quality: quality, reason: quality === 0.5 ? 'region' : 'language' };
+	}
+
+	/**
+	 * Check whether the locale resolved by Intl is in the same language and
+	 * script as the requested locale. Intl falls back to other locales, for
+	 * example to the default locale of the browser for unsupported languages.
+	 * @param {string} requested
+	 * @param {string} resolved
+	 * @return {boolean}
+	 */
+	function isSameLocale( requested, resolved ) {
+		var requestedTag = $.uls.data.parseTag( requested ),
+			resolvedTag = $.uls.data.parseTag( resolved );
+
+		return !!requestedTag && !!resolvedTag &&
+			requestedTag.language === resolvedTag.language &&
+			$.uls.data.getScript( requested ) === $.uls.data.getScript( resolved );
+	}
+
+	/**
+	 * Get an Intl.DisplayNames object for names in a locale.
+	 * @param {string} locale
+	 * @param {string} type Type of the names: language, script or region
+	 * @return {Object|null} Intl.DisplayNames object, or null if it is not supported
+	 *  or if the browser does not have names in the language and script of the locale
+	 */
+	function getDisplayNames( locale, type ) {
+		var key = type + ':' + locale;
+
+		if ( !window.Intl || !window.Intl.DisplayNames ) {
+			return null;
+		}
+
+		if ( displayNames[ key ] === undefined ) {
+			try {
+				displayNames[ key ] = new window.Intl.DisplayNames( [ locale ], {
+					type: type,
+					fallback: 'none'
+				} );
+
+				if ( !isSameLocale( locale, displayNames[ key ].resolvedOptions().locale ) ) {
+					displayNames[ key ] = null;
+				}
+			} catch ( e ) {
+				// Invalid or unsupported locale
+				displayNames[ key ] = null;
+			}
+		}
+
+		return displayNames[ key ];
+	}
+
+	/**
+	 * Get a name from names tables, or from Intl.DisplayNames if the tables
+	 * do not have it. The English name is used if no name is found in the locale.
+	 * @param {Object} tables Names keyed by locale and then by code
+	 * @param {string|null} type Type of the names for Intl.DisplayNames,
+	 *  or null if Intl.DisplayNames does not know them
+	 * @param {string} code
+	 * @param {string} [locale] Defaults to English
+	 * @return {string|undefined} Name, or undefined if it is not known
+	 */
+	function getLocalizedName( tables, type, code, locale ) {
+		var i, intlNames,
+			locales = locale ? [ String( locale ).toLowerCase() ].concat( $.uls.data.getFallbacks( locale ) ) : [];
+
+		for ( i = 0; i < locales.length; i++ ) {
+			if ( tables[ locales[ i ] ] && tables[ locales[ i ] ][ code ] ) {
+				return tables[ locales[ i ] ][ code ];
+			}
+		}
+
+		intlNames = locale && type && getDisplayNames( locale, type );
+
+		if ( intlNames ) {
+			try {
+				if ( intlNames.of( code ) ) {
+					return intlNames.of( code );
+				}
+			} catch ( e ) {
+				// Not a valid code
+			}
+		}
+
+		return tables.en && tables.en[ code ];
+	}
+
+	/**
+	 * Add names in a locale to a table of names.
+	 * @param {Object} tables Names keyed by locale and then by code
+	 * @param {string} locale Code of the language of the names
+	 * @param {Object} names Code to name mapping
+	 */
+	function addNamesTo( tables, locale, names ) {
+		locale = String( locale ).toLowerCase();
+		tables[ locale ] = $.extend( tables[ locale ] || {}, names );
+	}
+
 	/**
 	 * Is this language a redirect to another language?
 	 * @param {string} language Language code
@@ -36,7 +211,10 @@
 	 * @return {string}
 	 */
 	$.uls.data.getScript = function ( language ) {
-		var target = $.uls.data.isRedirect( language );
+		var target;
+
+		language = resolve( language );
+		target = $.uls.data.isRedirect( language );
 
 		if ( target ) {
 			return $.uls.data.getScript( target );
@@ -56,7 +234,10 @@
 	 * @return {string|string[]}
 	 */
 	$.uls.data.getRegions = function ( language ) {
-		var target = $.uls.data.isRedirect( language );
+		var target;
+
+		language = resolve( language );
+		target = $.uls.data.isRedirect( language );
 
 		if ( target ) {
 			return $.uls.data.getRegions( target );
@@ -71,7 +252,10 @@
 	 * @return {string}
 	 */
 	$.uls.data.getAutonym = function ( language ) {
-		var target = $.uls.data.isRedirect( language );
+		var target;
+
+		language = resolve( language );
+		target = $.uls.data.isRedirect( language );
 
 		if ( target ) {
 			return $.uls.data.getAutonym( target );
@@ -240,6 +424,22 @@
 		return ( autonymA.toLowerCase() < autonymB.toLowerCase() ) ? -1 : 1;
 	};
 
+	/**
+	 * Sort an array so that the items that compare equal keep their order.
+	 * @param {Array} array
+	 * @param {Function} compare Comparison function, as for Array#sort
+	 * @return {Array} A new sorted array
+	 */
+	$.uls.data.stableSort = function ( array, compare ) {
+		return array.map( function ( item, index ) {
+			return { item: item, index: index };
+		} ).sort( function ( a, b ) {
+			return compare( a.item, b.item ) || ( a.index - b.index );
+		} ).map( function ( entry ) {
+			return entry.item;
+		} );
+	};
+
 	/**
 	 * Check if a language is right-to-left.
 	 * @param {string} language Language code
@@ -267,6 +467,551 @@
 		return $.uls.data.territories[ territory ];
 	};
 
+	/**
+	 * Parse a BCP 47 language tag into its subtags. Both hyphens and
+	 * underscores are accepted as separators, and the subtags are returned
+	 * in their canonical case.
+	 * @param {string} tag Language tag, for example sr-Latn-RS
+	 * @return {Object|null} Object with language, extlang (array), script, region,
+	 *  variants (array), extensions (array) and privateuse (array) properties,
+	 *  or null if the tag is not well-formed.
+	 */
+	$.uls.data.parseTag = function ( tag ) {
+		var extension,
+			subtags = String( tag ).toLowerCase().split( /[-_]/ ),
+			parsed = {
+				language: subtags.shift(),
+				extlang: [],
+				script: '',
+				region: '',
+				variants: [],
+				extensions: [],
+				privateuse: []
+			};
+
+		if ( !/^[a-z]{2,8}$/.test( parsed.language ) ) {
+			return null;
+		}
+
+		while ( parsed.language.length <= 3 && parsed.extlang.length < 3 &&
+			/^[a-z]{3}$/.test( subtags[ 0 ] )
+		) {
+			parsed.extlang.push( subtags.shift() );
+		}
+
+		if ( /^[a-z]{4}$/.test( subtags[ 0 ] ) ) {
+			parsed.script = subtags[ 0 ].charAt( 0 ).toUpperCase() + subtags.shift().slice( 1 );
+		}
+
+		if ( /^([a-z]{2}|[0-9]{3})$/.test( subtags[ 0 ] ) ) {
+			parsed.region = subtags.shift().toUpperCase();
+		}
+
+		while ( /^([a-z0-9]{5,8}|[0-9][a-z0-9]{3})$/.test( subtags[ 0 ] ) ) {
+			parsed.variants.push( subtags.shift() );
+		}
+
+		while ( /^[0-9a-wyz]$/.test( subtags[ 0 ] ) ) {
+			extension = [ subtags.shift() ];
+
+			while ( /^[a-z0-9]{2,8}$/.test( subtags[ 0 ] ) ) {
+				extension.push( subtags.shift() );
+			}
+
+			if ( extension.length === 1 ) {
+				return null;
+			}
+
+			parsed.extensions.push( extension.join( '-' ) );
+		}
+
+		if ( subtags[ 0 ] === 'x' ) {
+			subtags.shift();
+
+			while ( /^[a-z0-9]{1,8}$/.test( subtags[ 0 ] ) ) {
+				parsed.privateuse.push( subtags.shift() );
+			}
+
+			if ( !parsed.privateuse.length ) {
+				return null;
+			}
+		}
+
+		return subtags.length ? null : parsed;
+	};
+
+	/**
+	 * Canonicalize the separators and the case of a BCP 47 language tag.
+	 * @param {string} tag Language tag, for example EN_gb
+	 * @return {string} Language tag, for example en-GB
+	 */
+	$.uls.data.canonicalizeTag = function ( tag ) {
+		var subtags,
+			parsed = $.uls.data.parseTag( tag );
+
+		if ( !parsed ) {
+			return String( tag ).toLowerCase().replace( /_/g, '-' );
+		}
+
+		subtags = [ parsed.language ].concat( parsed.extlang );
+
+		if ( parsed.script ) {
+			subtags.push( parsed.script );
+		}
+
+		if ( parsed.region ) {
+			subtags.push( parsed.region );
+		}
+
+		subtags = subtags.concat( parsed.variants, parsed.extensions );
+
+		if ( parsed.privateuse.length ) {
+			subtags = subtags.concat( 'x', parsed.privateuse );
+		}
+
+		return subtags.join( '-' );
+	};
+
+	/**
+	 * Find the best language known to ULS for a language tag.
+	 *
+	 * The tag is tried as it is first. Then the language is tried with its
+	 * script and region, with the script, and with the region, and finally
+	 * subtags are removed from the end of the tag until a known language is
+	 * found. Redirects are followed to their target language.
+	 * @param {string} tag Language tag, for example zh-Hant-TW or pt_BR
+	 * @return {string|undefined} Language code, or undefined if the language is unknown
+	 */
+	$.uls.data.resolveLanguageTag = function ( tag ) {
+		var i, target, language,
+			normalized = String( tag ).toLowerCase().replace( /_/g, '-' ),
+			parsed = $.uls.data.parseTag( normalized ),
+			subtags = normalized.split( '-' ),
+			candidates = [ normalized ];
+
+		if ( parsed ) {
+			language = [ parsed.language ].concat( parsed.extlang ).join( '-' );
+
+			if ( parsed.script && parsed.region ) {
+				candidates.push( [ language, parsed.script, parsed.region ].join( '-' ) );
+			}
+
+			if ( parsed.script ) {
+				candidates.push( language + '-' + parsed.script );
+			}
+
+			if ( parsed.region ) {
+				candidates.push( language + '-' + parsed.region );
+			}
+		}
+
+		while ( subtags.length > 1 ) {
+			subtags.pop();
+			candidates.push( subtags.join( '-' ) );
+		}
+
+		for ( i = 0; i < candidates.length; i++ ) {
+			tag = candidates[ i ].toLowerCase();
+
+			if ( $.uls.data.languages[ tag ] ) {
+				while ( ( target = $.uls.data.isRedirect( tag ) ) ) {
+					tag = target;
+				}
+
+				return tag;
+			}
+		}
+	};
+
+	/**
+	 * Parse the value of an Accept-Language HTTP header.
+	 * @param {string} header For example "fi-FI,fi;q=0.9,en;q=0.8"
+	 * @return {string[]} Language tags, most preferred first
+	 */
+	$.uls.data.parseAcceptLanguage = function ( header ) {
+		var ranges = String( header ).split( ',' ).map( function ( range ) {
+			var params = range.split( ';' ),
+				quality = 1;
+
+			params.slice( 1 ).forEach( function ( param ) {
+				var match = /^\s*q\s*=\s*([0-9.]+)\s*$/i.exec( param );
+
+				if ( match ) {
+					quality = parseFloat( match[ 1 ] );
+				}
+			} );
+
+			return {
+				tag: $.trim( params[ 0 ] ),
+				quality: quality
+			};
+		} ).filter( function ( range ) {
+			return range.tag && range.tag !== '*' && range.quality > 0;
+		} );
+
+		return $.uls.data.stableSort( ranges, function ( a, b ) {
+			return b.quality - a.quality;
+		} ).map( function ( range ) {
+			return range.tag;
+		} );
+	};
+
+	/**
+	 * Get the languages known to ULS that the user prefers. The result can be
+	 * used as the quickList of ULS.
+	 * @param {string|string[]} [preferences] Language tags in order of preference,
+	 *  or the value of an Accept-Language header. Defaults to the languages
+	 *  preferred in the browser settings.
+	 * @return {string[]} Language codes, most preferred first
+	 */
+	$.uls.data.getPreferredLanguages = function ( preferences ) {
+		var languages = [];
+
+		$.each( getPreferenceTags( preferences ), function ( i, tag ) {
+			var language = tag && $.uls.data.resolveLanguageTag( tag );
+
+			if ( language && $.inArray( language, languages ) === -1 ) {
+				languages.push( language );
+			}
+		} );
+
+		return languages;
+	};
+
+	/**
+	 * Find the language that best matches the user's language preferences,
+	 * for example to preselect it in ULS.
+	 *
+	 * Each available language is compared with each preferred language tag.
+	 * The best matches are the same language, a redirect to or from it, and
+	 * a language in its fallback chain. A different variant of the same
+	 * language matches better if it is written in the same script or spoken
+	 * in the same region. A match with a more preferred tag is worth more.
+	 *
+	 * @param {Object|string[]} languages Available languages, as a language code
+	 *  to name mapping like the languages option of ULS, or as an array of codes.
+	 * @param {string|string[]} [preferences] Language preferences, as accepted by
+	 *  getPreferredLanguages. Defaults to the browser settings.
+	 * @return {Object|null} The best match, or null if no language matches. It has
+	 *  the properties language (the matching language code), preference (the
+	 *  language tag it matched), score, and reason: one of exact, redirect,
+	 *  fallback, script, region and language.
+	 */
+	$.uls.data.negotiateLanguage = function ( languages, preferences ) {
+		var best = null,
+			codes = $.isArray( languages ) ? languages : Object.keys( languages );
+
+		$.each( getPreferenceTags( preferences ), function ( index, tag ) {
+			if ( !tag ) {
+				return;
+			}
+
+			$.each( codes, function ( i, code ) {
+				var score,
+					match = matchLanguage( tag, code );
+
+				if ( !match ) {
+					return;
+				}
+
+				score = match.quality / ( index + 1 );
+
+				if ( !best || score > best.score ) {
+					best = {
+						language: code,
+						preference: tag,
+						score: score,
+						reason: match.reason
+					};
+				}
+			} );
+		} );
+
+		return best;
+	};
+
+	/**
+	 * Returns the languages spoken in any of the territories.
+	 * @param {string[]} territories Territory codes
+	 * @return {string[]} Language codes, without duplicates
+	 */
+	$.uls.data.getLanguagesInTerritories = function ( territories ) {
+		var languages = [];
+
+		$.each( territories, function ( i, territory ) {
+			$.each( $.uls.data.getLanguagesInTerritory( String( territory ).toUpperCase() ) || [], function ( j, language ) {
+				if ( $.inArray( language, languages ) === -1 ) {
+					languages.push( language );
+				}
+			} );
+		} );
+
+		return languages;
+	};
+
+	/**
+	 * Suggest languages for the user, for example as the quickList of ULS.
+	 * Combines recently selected languages, language preferences and the
+	 * languages of the user's territories, in this order of importance.
+	 * A language gets a higher rank if it is found from several sources,
+	 * and if it is near the beginning of them.
+	 *
+	 * @param {Object} [options]
+	 * @param {string|string[]} [options.territories] Territory codes,
+	 *  for example from a geolocation lookup
+	 * @param {string|string[]} [options.preferences] Language preferences, as accepted by
+	 *  getPreferredLanguages. Defaults to the browser settings.
+	 * @param {string[]} [options.recent] Recently selected language codes
+	 * @return {string[]} Language codes known to ULS, best suggestion first
+	 */
+	$.uls.data.getSuggestedLanguages = function ( options ) {
+		var sources,
+			scores = {},
+			languages = [];
+
+		options = options || {};
+		sources = [
+			{ weight: 3, languages: options.recent || [] },
+			{ weight: 2, languages: $.uls.data.getPreferredLanguages( options.preferences ) },
+			{
+				weight: 1,
+				languages: $.uls.data.getLanguagesInTerritories( $.makeArray( options.territories ) )
+			}
+		];
+
+		$.each( sources, function ( i, source ) {
+			$.each( source.languages, function ( index, tag ) {
+				var language = $.uls.data.resolveLanguageTag( tag );
+
+				if ( !language ) {
+					return;
+				}
+
+				if ( scores[ language ] === undefined ) {
+					scores[ language ] = 0;
+					languages.push( language );
+				}
+
+				scores[ language ] += source.weight / ( index + 1 );
+			} );
+		} );
+
+		return $.uls.data.stableSort( languages, function ( a, b ) {
+			return scores[ b ] - scores[ a ];
+		} );
+	};
+
+	/**
+	 * Fallback languages registered with addFallbacks, keyed by language code.
+	 */
+	$.uls.data.fallbacks = {};
+
+	/**
+	 * Register fallback languages for a language. They are tried, in the given
+	 * order, before the languages derived from the language code.
+	 * @param {string} code Language code
+	 * @param {string|string[]} fallbacks Fallback language codes
+	 */
+	$.uls.data.addFallbacks = function ( code, fallbacks ) {
+		$.uls.data.fallbacks[ code.toLowerCase() ] = $.makeArray( fallbacks ).map( function ( fallback ) {
+			return fallback.toLowerCase();
+		} );
+	};
+
+	/**
+	 * Get the fallback chain of a language, for example sr-latn and sr for sr-el.
+	 * The chain starts with the redirect target of the language, if any.
+	 * Every language in the chain is followed by its registered fallbacks and
+	 * then by the language code without its last subtag.
+	 * @param {string} code Language code or tag
+	 * @return {string[]} Fallback language codes, most preferred first
+	 */
+	$.uls.data.getFallbacks = function ( code ) {
+		var fallbacks = [],
+			seen = {};
+
+		function add( language, isFallback ) {
+			if ( !language || seen[ language ] ) {
+				return;
+			}
+
+			seen[ language ] = true;
+
+			if ( isFallback ) {
+				fallbacks.push( language );
+			} else {
+				add( $.uls.data.isRedirect( language ), true );
+			}
+
+			( $.uls.data.fallbacks[ language ] || [] ).forEach( function ( fallback ) {
+				add( fallback, true );
+			} );
+
+			if ( language.indexOf( '-' ) !== -1 ) {
+				add( language.replace( /-[^-]*$/, '' ), true );
+			}
+		}
+
+		add( String( code ).toLowerCase().replace( /_/g, '-' ), false );
+
+		return fallbacks;
+	};
+
+	/**
+	 * Language names in other languages than the language itself, added with
+	 * addNames or loadNames. Keyed by locale and then by language code.
+	 */
+	$.uls.data.names = {};
+
+	/**
+	 * Add names of languages in a locale.
+	 * @param {string} locale Code of the language of the names
+	 * @param {Object} names Language code to name mapping
+	 */
+	$.uls.data.addNames = function ( locale, names ) {
+		addNamesTo( $.uls.data.names, locale, names );
+	};
+
+	/**
+	 * Load names of languages in a locale from a JSON file, which has
+	 * a language code to name mapping.
+	 * @param {string} locale Code of the language of the names
+	 * @param {string} url URL of the JSON file
+	 * @return {jQuery.Promise} Resolved with the names when they have been added
+	 */
+	$.uls.data.loadNames = function ( locale, url ) {
+		return $.getJSON( url ).then( function ( names ) {
+			$.uls.data.addNames( locale, names );
+
+			return names;
+		} );
+	};
+
+	/**
+	 * The default name provider. It uses the names added with addNames or
+	 * loadNames for the locale or one of its fallbacks, and Intl.DisplayNames
+	 * for the other languages if the browser supports it.
+	 *
+	 * The name provider can be replaced with a function that takes the same
+	 * parameters, to get the names from somewhere else.
+	 *
+	 * @param {string} code Language code
+	 * @param {string} locale Code of the language of the name
+	 * @return {string|undefined} Name of the language, or undefined if it is not known
+	 */
+	$.uls.data.nameProvider = function ( code, locale ) {
+		var i, names, intlNames,
+			locales = [ String( locale ).toLowerCase() ].concat( $.uls.data.getFallbacks( locale ) );
+
+		for ( i = 0; i < locales.length; i++ ) {
+			names = $.uls.data.names[ locales[ i ] ];
+
+			if ( names && names[ code ] ) {
+				return names[ code ];
+			}
+		}
+
+		intlNames = getDisplayNames( locale, 'language' );
+
+		if ( intlNames ) {
+			try {
+				return intlNames.of( $.uls.data.canonicalizeTag( code ) );
+			} catch ( e ) {
+				// Not a valid language tag
+			}
+		}
+	};
+
+	/**
+	 * Get the name of a language in another language.
+	 * @param {string} code Language code
+	 * @param {string} locale Code of the language of the name
+	 * @return {string|undefined} Name of the language, or undefined if it is not known
+	 */
+	$.uls.data.getLanguageName = function ( code, locale ) {
+		return ( $.uls.data.nameProvider && $.uls.data.nameProvider( code, locale ) ) || undefined;
+	};
+
+	/**
+	 * Script names, added with addScriptNames. Keyed by locale and then by
+	 * ISO 15924 script code.
+	 */
+	$.uls.data.scriptNames = {};
+
+	/**
+	 * Add names of scripts in a locale.
+	 * @param {string} locale Code of the language of the names
+	 * @param {Object} names Script code to name mapping
+	 */
+	$.uls.data.addScriptNames = function ( locale, names ) {
+		addNamesTo( $.uls.data.scriptNames, locale, names );
+	};
+
+	/**
+	 * Get the name of a script. The names are taken from the names added with
+	 * addScriptNames, then from Intl.DisplayNames if the browser supports it,
+	 * and finally from the English names.
+	 * @param {string} script ISO 15924 script code
+	 * @param {string} [locale] Code of the language of the name. Defaults to English.
+	 * @return {string|undefined} Name of the script, or undefined if it is not known
+	 */
+	$.uls.data.getScriptName = function ( script, locale ) {
+		return getLocalizedName( $.uls.data.scriptNames, 'script', script, locale );
+	};
+
+	/**
+	 * Territory names, added with addTerritoryNames. Keyed by locale and then
+	 * by territory code.
+	 */
+	$.uls.data.territoryNames = {};
+
+	/**
+	 * Add names of territories in a locale.
+	 * @param {string} locale Code of the language of the names
+	 * @param {Object} names Territory code to name mapping
+	 */
+	$.uls.data.addTerritoryNames = function ( locale, names ) {
+		addNamesTo( $.uls.data.territoryNames, locale, names );
+	};
+
+	/**
+	 * Get the name of a territory. The names are taken from the names added with
+	 * addTerritoryNames, then from Intl.DisplayNames if the browser supports it,
+	 * and finally from the English names.
+	 * @param {string} territory Territory code, for example IN
+	 * @param {string} [locale] Code of the language of the name. Defaults to English.
+	 * @return {string|undefined} Name of the territory, or undefined if it is not known
+	 */
+	$.uls.data.getTerritoryName = function ( territory, locale ) {
+		return getLocalizedName( $.uls.data.territoryNames, 'region', territory, locale );
+	};
+
+	/**
+	 * Names of the regions used for grouping languages, added with addRegionNames.
+	 * Keyed by locale and then by region code.
+	 */
+	$.uls.data.regionNames = {};
+
+	/**
+	 * Add names of regions in a locale.
+	 * @param {string} locale Code of the language of the names
+	 * @param {Object} names Region code to name mapping
+	 */
+	$.uls.data.addRegionNames = function ( locale, names ) {
+		addNamesTo( $.uls.data.regionNames, locale, names );
+	};
+
+	/**
+	 * Get the name of a region used for grouping languages, such as EU.
+	 * The English name is used if there is no name in the locale.
+	 * @param {string} region Region code
+	 * @param {string} [locale] Code of the language of the name. Defaults to English.
+	 * @return {string|undefined} Name of the region, or undefined if it is not known
+	 */
+	$.uls.data.getRegionName = function ( region, locale ) {
+		return getLocalizedName( $.uls.data.regionNames, null, region, locale );
+	};
+
 	/**
 	 * Adds a language in run time and sets its options as provided.
 	 * If the target option is provided, the language is defined as a redirect.
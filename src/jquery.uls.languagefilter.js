@@ -24,7 +24,18 @@
 ( function ( $ ) {
 	'use strict';
 
-	var LanguageFilter, delay;
+	var LanguageFilter, baseLetters,
+		// Keys for moving the active item in the language list, and their directions
+		navigationKeys = {
+			33: 'previousRegion', // Page up
+			34: 'nextRegion', // Page down
+			35: 'last', // End
+			36: 'first', // Home
+			37: 'left',
+			38: 'up',
+			39: 'right',
+			40: 'down'
+		};
 
 	/**
 	 * Check if a prefix is visually prefix of a string
@@ -40,6 +51,161 @@
 		return prebases.indexOf( string[ prefix.length ] ) <= 0;
 	}
 
+	/**
+	 * Fold a string for matching: remove diacritics, convert full-width
+	 * characters to their usual forms and convert to lower case.
+	 *
+	 * @param {string} string
+	 * @return {string}
+	 */
+	function fold( string ) {
+		string = String( string );
+
+		if ( string.normalize ) {
+			// The compatibility decomposition also converts full-width characters
+			string = string.normalize( 'NFKD' ).replace( /[\u0300-\u036f]/g, '' );
+		} else {
+			string = string.replace( /[\uff01-\uff5e]/g, function ( character ) {
+				return String.fromCharCode( character.charCodeAt( 0 ) - 0xfee0 );
+			} ).toLowerCase().replace( /[\u00c0-\u024f]/g, function ( character ) {
+				return baseLetters[ character ] || character;
+			} );
+		}
+
+		return string.toLowerCase();
+	}
+
+	/**
+	 * Base letters of the common Latin letters with diacritics, for
+	 * browsers without String#normalize. Keys are lower case.
+	 */
+	baseLetters = ( function () {
+		var base, i,
+			letters = {
+				a: 'àáâãäåāăą',
+				c: 'çćĉċč',
+				d: 'ď',
+				e: 'èéêëēĕėęě',
+				g: 'ĝğġģ',
+				h: 'ĥ',
+				i: 'ìíîïĩīĭįı',
+				j: 'ĵ',
+				k: 'ķ',
+				l: 'ĺļľ',
+				n: 'ñńņňŉ',
+				o: 'òóôõöōŏő',
+				r: 'ŕŗř',
+				s: 'śŝşšș',
+				t: 'ţťț',
+				u: 'ùúûüũūŭůűų',
+				w: 'ŵ',
+				y: 'ýÿŷ',
+				z: 'źżž'
+			},
+			map = {};
+
+		for ( base in letters ) {
+			for ( i = 0; i < letters[ base ].length; i++ ) {
+				map[ letters[ base ].charAt( i ) ] = base;
+			}
+		}
+
+		return map;
+	}() );
+
+	/**
+	 * Get the edit distance between the query and the closest prefix of
+	 * the string. Insertions, deletions, substitutions and transpositions
+	 * of adjacent characters are counted as one edit each.
+	 *
+	 * @param {string} query
+	 * @param {string} string
+	 * @return {number}
+	 */
+	function prefixDistance( query, string ) {
+		var i, j, cost,
+			rows = [];
+
+		for ( i = 0; i <= query.length; i++ ) {
+			rows[ i ] = [ i ];
+		}
+
+		for ( j = 1; j <= string.length; j++ ) {
+			rows[ 0 ][ j ] = j;
+		}
+
+		for ( i = 1; i <= query.length; i++ ) {
+			for ( j = 1; j <= string.length; j++ ) {
+				cost = query[ i - 1 ] === string[ j - 1 ] ? 0 : 1;
+				rows[ i ][ j ] = Math.min(
+					rows[ i - 1 ][ j ] + 1,
+					rows[ i ][ j - 1 ] + 1,
+					rows[ i - 1 ][ j - 1 ] + cost
+				);
+
+				if ( i > 1 && j > 1 && query[ i - 1 ] === string[ j - 2 ] && query[ i - 2 ] === string[ j - 1 ] ) {
+					rows[ i ][ j ] = Math.min( rows[ i ][ j ], rows[ i - 2 ][ j - 2 ] + 1 );
+				}
+			}
+		}
+
+		// The query may match any prefix of the string
+		return Math.min.apply( Math, rows[ query.length ] );
+	}
+
+	/**
+	 * Find the first word of the string that starts with the query.
+	 *
+	 * @param {string} string
+	 * @param {string} query
+	 * @return {Object|null} Object with the index of the word, counting from 0,
+	 *  and whether the query is the whole word, or null if no word starts with
+	 *  the query.
+	 */
+	function findWord( string, query ) {
+		var match, next,
+			index = 0,
+			words = /[^\s(),-]+/g;
+
+		while ( ( match = words.exec( string ) ) ) {
+			if ( string.substr( match.index, query.length ) === query ) {
+				next = string.charAt( match.index + query.length );
+
+				return {
+					index: index,
+					whole: next === '' || /[\s(),-]/.test( next )
+				};
+			}
+
+			index++;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Complete the user input to a name that starts with it
+	 *
+	 * @param {string} input
+	 * @param {string} name
+	 * @return {string} The input followed by the rest of the name, the name as it is
+	 *  if it starts with the input only when they are folded, or an empty string
+	 *  if the name does not start with the input.
+	 */
+	function complete( input, name ) {
+		var completion = input + name.substring( input.length );
+
+		if ( completion.toLowerCase() === name.toLowerCase() ) {
+			return completion;
+		}
+
+		if ( fold( name ).indexOf( fold( input ) ) === 0 ) {
+			return name;
+		}
+
+		return '';
+	}
+
 	LanguageFilter = function ( element, options ) {
 		this.$element = $( element );
 		this.options = $.extend( {}, $.fn.languagefilter.defaults, options );
@@ -48,34 +214,32 @@
 		this.$suggestion = this.$element.siblings( '.' + this.$element.data( 'suggestion' ) );
 		this.$clear = this.$element.siblings( '.' + this.$element.data( 'clear' ) );
 		this.selectedLanguage = null;
+		this.searchTimer = null;
+		// Names of the languages to search, keyed by language code
+		this.names = {};
+		// Scripts whose names match the latest search
+		this.scriptMatches = null;
+		// Territories and regions whose names match the latest search
+		this.placeMatches = null;
 		this.init();
 		this.listen();
 	};
 
-	delay = ( function () {
-		var timer = 0;
-
-		return function ( callback, milliseconds ) {
-			clearTimeout( timer );
-			timer = setTimeout( callback, milliseconds );
-		};
-	}() );
-
 	LanguageFilter.prototype = {
 		init: function () {
 			this.search();
 		},
 
 		listen: function () {
-			this.$element.on( 'keypress', $.proxy( this.keyup, this ) )
-				.on( 'keyup', $.proxy( this.keyup, this ) );
+			this.$element.on( 'keypress.languagefilter', $.proxy( this.keyup, this ) )
+				.on( 'keyup.languagefilter', $.proxy( this.keyup, this ) );
 
 			if ( this.eventSupported( 'keydown' ) ) {
-				this.$element.on( 'keydown', $.proxy( this.keyup, this ) );
+				this.$element.on( 'keydown.languagefilter', $.proxy( this.keyup, this ) );
 			}
 
 			if ( this.$clear.length ) {
-				this.$clear.on( 'click', $.proxy( this.clear, this ) );
+				this.$clear.on( 'click.languagefilter', $.proxy( this.clear, this ) );
 			}
 
 			this.toggleClear();
@@ -84,6 +248,15 @@
 		keyup: function ( e ) {
 			var suggestion, query, languageFilter;
 
+			if ( navigationKeys[ e.keyCode ] ) {
+				// Navigate once per key stroke, not for every key event
+				if ( e.type === 'keydown' ) {
+					this.navigate( e );
+				}
+
+				return;
+			}
+
 			switch ( e.keyCode ) {
 				case 9: // Tab -> Autocomplete
 					suggestion = this.$suggestion.val();
@@ -103,8 +276,19 @@
 					e.preventDefault();
 					e.stopPropagation();
 
+					// Select once per key stroke. The menu may stay open with the
+					// focus here, and selecting again would toggle the language back.
+					if ( e.type !== 'keydown' ) {
+						break;
+					}
+
 					query = $.trim( this.$element.val() ).toLowerCase();
 
+					if ( this.options.lcd && this.options.lcd.selectActiveItem() ) {
+					// The user has picked a language using the arrow keys
+						break;
+					}
+
 					if ( this.selectedLanguage ) {
 					// this.selectLanguage will be populated from a matching search
 						this.options.onSelect( this.selectedLanguage );
@@ -126,8 +310,11 @@
 					}
 
 					this.selectedLanguage = null;
+					// The active item belongs to the previous search
+					this.options.lcd.setActiveItem( null );
 
-					delay( function () {
+					clearTimeout( this.searchTimer );
+					this.searchTimer = setTimeout( function () {
 						if ( !languageFilter.$element.val() ) {
 							languageFilter.clear();
 						} else {
@@ -140,6 +327,42 @@
 			}
 		},
 
+		/**
+		 * Moves the active item of the language list according to the pressed key.
+		 * Left, right, home and end keep moving the cursor in the search box
+		 * until an item has been activated using the other keys.
+		 * @param {jQuery.Event} e
+		 */
+		navigate: function ( e ) {
+			var lcd = this.options.lcd,
+				direction = navigationKeys[ e.keyCode ];
+
+			if ( !lcd || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey ) {
+				return;
+			}
+
+			if ( !lcd.$activeItem && $.inArray( direction, [ 'left', 'right', 'first', 'last' ] ) !== -1 ) {
+				return;
+			}
+
+			if ( lcd.moveActiveItem( direction ) ) {
+				e.preventDefault();
+			}
+		},
+
+		/**
+		 * Removes the event handlers and detaches from the input element.
+		 */
+		destroy: function () {
+			clearTimeout( this.searchTimer );
+
+			this.$element
+				.off( '.languagefilter' )
+				.removeClass( 'languagefilter' )
+				.removeData( 'languagefilter' );
+			this.$clear.off( '.languagefilter' );
+		},
+
 		/**
 		 * Clears the current search removing
 		 * clear buttons and suggestions.
@@ -155,6 +378,24 @@
 			this.autofill();
 		},
 
+		/**
+		 * Repeats the current search, for example after the languages
+		 * have been changed.
+		 */
+		refresh: function () {
+			clearTimeout( this.searchTimer );
+			this.selectedLanguage = null;
+			this.names = {};
+			this.scriptMatches = null;
+			this.placeMatches = null;
+
+			if ( this.$element.val() ) {
+				this.options.lcd.empty();
+			}
+
+			this.search();
+		},
+
 		/**
 		 * Clears the search and shows all languages
 		 */
@@ -180,10 +421,15 @@
 		},
 
 		search: function () {
-			var languages = Object.keys( this.options.languages ),
+			var parsedQuery,
+				languages = Object.keys( this.options.languages ),
 				results = [],
+				matches = {},
 				query = $.trim( this.$element.val() ).toLowerCase();
 
+			// The groups belong to the previous search
+			this.options.lcd.removeGroups();
+
 			if ( query === '' ) {
 				this.options.lcd.setGroupByRegionOverride( null );
 				this.resultHandler( query, languages );
@@ -191,28 +437,101 @@
 			}
 
 			this.options.lcd.setGroupByRegionOverride( false );
+			parsedQuery = this.parseQuery( query );
+			languages = languages.filter( function ( langCode ) {
+				return this.matchesFilters( langCode, parsedQuery.filters );
+			}.bind( this ) );
+
+			if ( !parsedQuery.text ) {
+				// Only operators, list all the languages that pass them
+				this.resultHandler( query, languages );
+				return;
+			}
+
 			// Local search results
 			results = languages.filter( function ( langCode ) {
-				return this.filter( langCode, query );
+				var match = this.rank( langCode, parsedQuery.text );
+
+				if ( match ) {
+					matches[ langCode ] = match;
+				}
+
+				return !!match;
 			}.bind( this ) );
 
 			// Use the searchAPI if available, assuming that it has superior search results.
 			if ( this.options.searchAPI ) {
-				this.searchAPI( query )
+				this.searchAPI( parsedQuery.text, parsedQuery.filters )
 					.done( this.resultHandler.bind( this ) )
-					.fail( this.resultHandler.bind( this, query, results, undefined ) );
+					.fail( this.resultHandler.bind( this, query, results, undefined, matches ) );
 			} else {
-				this.resultHandler( query, results );
+				this.resultHandler( query, results, undefined, matches );
 			}
 		},
 
-		searchAPI: function ( query ) {
-			return $.get( this.options.searchAPI, { search: query } ).then( function ( result ) {
+		/**
+		 * Split a search into free text and operators like script:Arab.
+		 * Words with an unknown operator are part of the free text.
+		 * @param {string} query
+		 * @return {Object} Object with the free text and the filters, an array
+		 *  of objects with the operator and its value.
+		 */
+		parseQuery: function ( query ) {
+			var text = [],
+				filters = [];
+
+			$.each( $.trim( query ).split( /\s+/ ), function ( i, word ) {
+				var match = /^([a-z]+):(.+)$/i.exec( word );
+
+				if ( match && $.fn.languagefilter.operators[ match[ 1 ].toLowerCase() ] ) {
+					filters.push( { operator: match[ 1 ].toLowerCase(), value: match[ 2 ] } );
+				} else {
+					text.push( word );
+				}
+			} );
+
+			return { text: text.join( ' ' ), filters: filters };
+		},
+
+		/**
+		 * Check whether a language passes all the filters of a search.
+		 * @param {string} langCode
+		 * @param {Object[]} filters Filters, as returned by parseQuery
+		 * @return {boolean}
+		 */
+		matchesFilters: function ( langCode, filters ) {
+			return filters.every( function ( filter ) {
+				return $.fn.languagefilter.operators[ filter.operator ]( langCode, filter.value );
+			} );
+		},
+
+		/**
+		 * Search languages with the searchAPI. The operators of the search are
+		 * passed to it in the filters parameter, as they were written, for
+		 * example "script:Arab region:AF".
+		 * @param {string} query Free text of the search
+		 * @param {Object[]} [filters] Filters of the search, as returned by parseQuery.
+		 *  The results that do not pass them are left out, also if the searchAPI
+		 *  does not support them.
+		 * @return {jQuery.Promise} Resolved with the query, the results and the
+		 *  name of the first result.
+		 */
+		searchAPI: function ( query, filters ) {
+			var params = { search: query };
+
+			filters = filters || [];
+			if ( filters.length ) {
+				params.filters = filters.map( function ( filter ) {
+					return filter.operator + ':' + filter.value;
+				} ).join( ' ' );
+			}
+
+			return $.get( this.options.searchAPI, params ).then( function ( result ) {
 				var autofillLabel,
 					results = [];
 
 				$.each( result.languagesearch, function ( code, name ) {
-					if ( this.options.languages[ code ] ) {
+					if ( this.options.languages[ code ] && this.matchesFilters( code, filters ) ) {
 						autofillLabel = autofillLabel || name;
 						results.push( code );
 					}
@@ -229,8 +548,18 @@
 		 * @param {string} query
 		 * @param {string[]} results
 		 * @param {string} [autofillLabel]
+		 * @param {Object} [matches] Matches of the results, as returned by rank,
+		 *  keyed by language code. If given, the results are ordered by their score
+		 *  and the best result is autofilled with the name that matched.
 		 */
-		resultHandler: function ( query, results, autofillLabel ) {
+		resultHandler: function ( query, results, autofillLabel, matches ) {
+			if ( matches ) {
+				results = $.uls.data.stableSort( results, function ( a, b ) {
+					return matches[ b ].score - matches[ a ].score;
+				} );
+				autofillLabel = results.length ? matches[ results[ 0 ] ].name : autofillLabel;
+			}
+
 			if ( results.length === 0 ) {
 				this.$suggestion.val( '' );
 				this.$element.trigger( 'noresults.uls', query );
@@ -242,12 +571,14 @@
 				this.autofill( results[ 0 ], autofillLabel );
 			}
 
-			results.map( this.render.bind( this ) );
+			results.forEach( function ( langCode ) {
+				this.render( langCode, matches && matches[ langCode ].group );
+			}.bind( this ) );
 			this.$element.trigger( 'resultsfound.uls', [ query, results.length ] );
 		},
 
 		autofill: function ( langCode, languageName ) {
-			var autonym, userInput, suggestion;
+			var userInput, suggestion;
 
 			if ( !this.$suggestion.length ) {
 				return;
@@ -265,18 +596,10 @@
 			}
 
 			userInput = this.$element.val();
-			suggestion = userInput + languageName.substring( userInput.length, languageName.length );
-
-			if ( suggestion.toLowerCase() !== languageName.toLowerCase() ) {
-				// see if it was autonym match
-				autonym = $.uls.data.getAutonym( langCode ) || '';
-				suggestion = userInput + autonym.substring( userInput.length, autonym.length );
-
-				if ( suggestion !== autonym ) {
-					// Give up. It may be an ISO/script code match.
-					suggestion = '';
-				}
-			}
+			// See if it was autonym match if the name does not match.
+			// Give up if neither matches. It may be an ISO/script code match.
+			suggestion = complete( userInput, languageName ) ||
+				complete( userInput, $.uls.data.getAutonym( langCode ) || '' );
 
 			// Make sure that it is a visual prefix.
 			if ( !isVisualPrefix( userInput, suggestion ) ) {
@@ -286,7 +609,18 @@
 			this.$suggestion.val( suggestion );
 		},
 
-		render: function ( langCode ) {
+		/**
+		 * Show a language in the results.
+		 * @param {string} langCode
+		 * @param {Object} [group] Group of results to show the language in,
+		 *  with an id and a label, see getMatchingPlaces
+		 * @return {boolean} Whether the language was shown
+		 */
+		render: function ( langCode, group ) {
+			if ( group ) {
+				return this.options.lcd.appendToGroup( langCode, group.id, group.label );
+			}
+
 			return this.options.lcd.append( langCode );
 		},
 
@@ -295,25 +629,265 @@
 		},
 
 		/**
-		 * A search match happens if any of the following passes:
-		 * a) Language name in current user interface language
+		 * Get the names of a language to search: the name in the languages
+		 * option, the names in the search locales and the autonym.
+		 * @param {string} langCode
+		 * @return {string[]} Names, without duplicates
+		 */
+		getNames: function ( langCode ) {
+			var names;
+
+			if ( !this.names[ langCode ] ) {
+				names = [ this.options.languages[ langCode ] ];
+
+				$.each( this.options.locales, function ( i, locale ) {
+					names.push( $.uls.data.getLanguageName( langCode, locale ) );
+				} );
+
+				names.push( $.uls.data.getAutonym( langCode ) );
+				this.names[ langCode ] = names.filter( function ( name, i ) {
+					return name && names.indexOf( name ) === i;
+				} );
+			}
+
+			return this.names[ langCode ];
+		},
+
+		/**
+		 * A search match happens if any of the following passes, ignoring
+		 * case, diacritics and full-width forms:
+		 * a) A word in the language name in current user interface language
+		 * 'starts with' search string.
+		 * b) A word in the language name in one of the search locales
 		 * 'starts with' search string.
-		 * b) Language autonym 'starts with' search string.
-		 * c) ISO 639 code match with search string.
-		 * d) ISO 15924 code for the script match the search string.
+		 * c) A word in the language autonym 'starts with' search string.
+		 * d) ISO 639 code match with search string.
+		 * e) ISO 15924 code for the script match the search string, or a word
+		 * in the name of the script 'starts with' search string.
+		 * f) If nothing else matches, the language is spoken in a territory
+		 * or a region with a name that has a word that 'starts with' search
+		 * string. Such matches are grouped by the territory or the region.
+		 * g) With the fuzzy option, if nothing else matches, a name starts
+		 * with a string that is a few typos away from the search string.
+		 *
+		 * The score of the match is 1 for a name or code that is the search
+		 * string. A name that starts with the search string scores higher than
+		 * a code, and a later word in a name lower than it. A match of a whole
+		 * word scores higher, and a match of an earlier word scores higher than
+		 * that of a later word. Script, territory, region and fuzzy matches
+		 * score lowest.
+		 * @param {string} langCode
+		 * @param {string} searchTerm
+		 * @return {Object|null} Object with the name that matched, or the name of
+		 *  the language if its code, script or place matched, and the score of
+		 *  the match from 0 to 1. Matches of a territory or a region also have the
+		 *  group of results that explains the match. Null if there is no match.
+		 */
+		rank: function ( langCode, searchTerm ) {
+			var i, word, distance, places,
+				best = null,
+				query = fold( searchTerm ),
+				script = $.uls.data.getScript( langCode ),
+				names = this.getNames( langCode ),
+				// Allow one typo for every four characters
+				maxDistance = Math.floor( query.length / 4 );
+
+			function consider( name, score ) {
+				if ( !best || score > best.score ) {
+					best = { name: name, score: score };
+				}
+			}
+
+			function considerString( string, name, prefixScore ) {
+				var folded = fold( string );
+
+				if ( folded === query ) {
+					consider( name, 1 );
+				} else if ( folded.indexOf( query ) === 0 ) {
+					consider( name, prefixScore );
+				}
+			}
+
+			for ( i = 0; i < names.length; i++ ) {
+				if ( fold( names[ i ] ) === query ) {
+					consider( names[ i ], 1 );
+					continue;
+				}
+
+				word = findWord( fold( names[ i ] ), query );
+
+				if ( word ) {
+					consider(
+						names[ i ],
+						( word.index === 0 ? 0.9 : 0.7 - 0.05 * Math.min( word.index - 1, 3 ) ) +
+							( word.whole ? 0.05 : 0 )
+					);
+				}
+			}
+
+			considerString( langCode, names[ 0 ] || langCode, 0.8 );
+			considerString( script, names[ 0 ] || langCode, 0.5 );
+
+			if ( this.getMatchingScripts( query )[ script ] ) {
+				consider( names[ 0 ] || langCode, this.getMatchingScripts( query )[ script ] );
+			}
+
+			if ( !best ) {
+				places = this.getMatchingPlaces( query );
+
+				for ( i = 0; i < places.length; i++ ) {
+					if ( places[ i ].type === 'territory' ?
+						places[ i ].languages.indexOf( langCode ) !== -1 :
+						$.uls.data.getRegions( langCode ).indexOf( places[ i ].code ) !== -1
+					) {
+						best = { name: names[ 0 ] || langCode, score: places[ i ].score, group: places[ i ] };
+						break;
+					}
+				}
+			}
+
+			if ( !best && this.options.fuzzy && maxDistance ) {
+				for ( i = 0; i < names.length; i++ ) {
+					distance = prefixDistance( query, fold( names[ i ] ) );
+
+					if ( distance <= maxDistance ) {
+						consider( names[ i ], 0.4 * ( 1 - distance / query.length ) );
+					}
+				}
+			}
+
+			return best;
+		},
+
+		/**
+		 * Get the scripts whose names match the search. The names are searched
+		 * in English and in the search locales. A name matches if one of its
+		 * words starts with the search string, or if the search string is the
+		 * start of a label like "Arabic script".
+		 * @param {string} query Folded search string
+		 * @return {Object} Scores of the matches from 0 to 1, keyed by script code
+		 */
+		getMatchingScripts: function ( query ) {
+			var scores = {},
+				locales = [ undefined ].concat( this.options.locales );
+
+			if ( this.scriptMatches && this.scriptMatches.query === query ) {
+				return this.scriptMatches.scores;
+			}
+
+			$.each( $.uls.data.scriptgroups, function ( group, scripts ) {
+				$.each( scripts, function ( i, script ) {
+					$.each( locales, function ( j, locale ) {
+						var word, label,
+							name = $.uls.data.getScriptName( script, locale );
+
+						if ( !name ) {
+							return;
+						}
+
+						word = findWord( fold( name ), query );
+						label = $.i18n ? $.i18n( 'uls-script-name', name ) : name + ' script';
+
+						if ( word || fold( label ).indexOf( query ) === 0 ) {
+							scores[ script ] = Math.max(
+								scores[ script ] || 0,
+								word && word.index > 0 ? 0.55 : 0.6
+							);
+						}
+					} );
+				} );
+			} );
+
+			this.scriptMatches = { query: query, scores: scores };
+
+			return scores;
+		},
+
+		/**
+		 * Get the territories and regions whose names match the search.
+		 * The names are searched in English and in the search locales.
+		 * A name matches if one of its words starts with the search string,
+		 * which must be at least three characters long.
+		 * @param {string} query Folded search string
+		 * @return {Object[]} Matching places, best match first. Each has
+		 *  the type (territory or region), the code, the languages spoken there
+		 *  for territories, the score of the match from 0 to 1, and the id and
+		 *  the label of the group of results for the place.
+		 */
+		getMatchingPlaces: function ( query ) {
+			var places = [],
+				locales = [ undefined ].concat( this.options.locales );
+
+			function addPlace( type, code, getName ) {
+				var best = null;
+
+				$.each( locales, function ( i, locale ) {
+					var word,
+						name = getName( code, locale );
+
+					word = name && findWord( fold( name ), query );
+
+					if ( word && ( !best || word.index < best.word.index ) ) {
+						best = { word: word, name: name };
+					}
+				} );
+
+				if ( best ) {
+					places.push( {
+						type: type,
+						code: code,
+						languages: type === 'territory' ? $.uls.data.getLanguagesInTerritory( code ) || [] : [],
+						score: best.word.index === 0 ? 0.45 : 0.4,
+						id: type + '-' + code,
+						label: $.i18n ?
+							$.i18n( 'uls-search-place-languages', best.name ) :
+							'Languages of ' + best.name
+					} );
+				}
+			}
+
+			if ( this.placeMatches && this.placeMatches.query === query ) {
+				return this.placeMatches.places;
+			}
+
+			if ( query.length >= 3 ) {
+				$.each( $.uls.data.territories, function ( territory ) {
+					addPlace( 'territory', territory, $.uls.data.getTerritoryName );
+				} );
+				$.each( $.uls.data.regiongroups, function ( region ) {
+					addPlace( 'region', region, $.uls.data.getRegionName );
+				} );
+			}
+
+			places = $.uls.data.stableSort( places, function ( a, b ) {
+				return b.score - a.score;
+			} );
+			this.placeMatches = { query: query, places: places };
+
+			return places;
+		},
+
+		/**
+		 * Get the name that matches the search, see rank.
+		 * @param {string} langCode
+		 * @param {string} searchTerm
+		 * @return {string|null} The name that matched, or the name of the language
+		 *  if its code or script matched, or null if there is no match.
+		 */
+		match: function ( langCode, searchTerm ) {
+			var match = this.rank( langCode, searchTerm );
+
+			return match ? match.name : null;
+		},
+
+		/**
+		 * Check whether a language matches the search, see match.
 		 * @param {string} langCode
 		 * @param {string} searchTerm
 		 * @return {boolean}
 		 */
 		filter: function ( langCode, searchTerm ) {
-			// FIXME script is ISO 15924 code. We might need actual name of script.
-			var matcher = new RegExp( '^' + this.escapeRegex( searchTerm ), 'i' ),
-				languageName = this.options.languages[ langCode ];
-
-			return matcher.test( languageName ) ||
-				matcher.test( $.uls.data.getAutonym( langCode ) ) ||
-				matcher.test( langCode ) ||
-				matcher.test( $.uls.data.getScript( langCode ) );
+			return this.match( langCode, searchTerm ) !== null;
 		},
 
 		eventSupported: function ( eventName ) {
@@ -335,6 +909,10 @@
 				options = typeof option === 'object' && option;
 
 			if ( !data ) {
+				if ( option === 'destroy' ) {
+					return;
+				}
+
 				$this.data( 'languagefilter', ( data = new LanguageFilter( this, options ) ) );
 			}
 
@@ -351,10 +929,54 @@
 		searchAPI: undefined,
 		// Object of language tags to language names
 		languages: [],
+		// Codes of more languages in which the language names are searched
+		locales: [],
+		// Whether to find names with typos in the search string
+		fuzzy: false,
 		// Callback function when language is selected
 		onSelect: undefined
 	};
 
+	/**
+	 * Operators of the search, like script:Arab. Keyed by the name of the
+	 * operator, the values are functions that get a language code and the
+	 * value of the operator, and return whether the language passes.
+	 * More operators can be added here.
+	 */
+	$.fn.languagefilter.operators = {
+		// ISO 15924 code or English name of the script, for example script:Arab
+		script: function ( langCode, value ) {
+			var script = $.uls.data.getScript( langCode );
+
+			value = fold( value );
+
+			return fold( script ) === value || fold( $.uls.data.getScriptName( script ) || '' ) === value;
+		},
+		// Region code, for example region:AF
+		region: function ( langCode, value ) {
+			return $.uls.data.getRegions( langCode ).indexOf( value.toUpperCase() ) !== -1;
+		},
+		// Territory code, for example territory:NG. Also finds the languages in the
+		// fallback chains of the languages of the territory, like ha for ha-latn.
+		territory: function ( langCode, value ) {
+			return ( $.uls.data.getLanguagesInTerritory( value.toUpperCase() ) || [] ).some( function ( code ) {
+				return code === langCode || $.uls.data.getFallbacks( code ).indexOf( langCode ) !== -1;
+			} );
+		},
+		// Direction of the script, ltr or rtl
+		dir: function ( langCode, value ) {
+			return $.uls.data.getDir( langCode ) === value.toLowerCase();
+		},
+		// Language code, * matches any characters, for example code:zh-*
+		code: function ( langCode, value ) {
+			var pattern = value.toLowerCase().split( '*' )
+				.map( LanguageFilter.prototype.escapeRegex )
+				.join( '.*' );
+
+			return new RegExp( '^' + pattern + '$' ).test( langCode );
+		}
+	};
+
 	$.fn.languagefilter.Constructor = LanguageFilter;
 
 }( jQuery ) );
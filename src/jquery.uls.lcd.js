@@ -22,14 +22,23 @@
 ( function ( $ ) {
 	'use strict';
 
-	// eslint-disable-next-line no-multi-str
-	var noResultsTemplate = '<div class="uls-no-results-view"> \
+	var idCounter = 0,
+		// eslint-disable-next-line no-multi-str
+		noResultsTemplate = '<div class="uls-no-results-view"> \
 		<h2 data-i18n="uls-no-results-found" class="uls-no-results-found-title">No results found</h2> \
 		<div class="uls-no-results-suggestions"></div> \
 		<div class="uls-no-found-more"> \
 		<div data-i18n="uls-search-help">You can search by language name, script name, ISO code of language or you can browse by region.</div> \
 		</div></div>';
 
+	/**
+	 * Get an id attribute value that is unique in the document.
+	 * @return {string}
+	 */
+	function uniqueId() {
+		return 'uls-lcd-' + ( ++idCounter );
+	}
+
 	/**
 	 * Language category display
 	 * @param {Element} element The container element to which the languages to be displayed
@@ -42,22 +51,31 @@
 	 * @cfg {Function} [languageDecorator] Callback function to be called when a language
 	 *  link is prepared - for custom decoration.
 	 * @cfg {Function|string[]} [quickList] The languages to display as suggestions for quick selection.
-	 * @cfg {Function} [clickhandler] Callback when language is selected.
+	 * @cfg {string[]} [recentLanguages] Recently selected languages, suggested before the quickList.
+	 * @cfg {string[]} [selected] Codes of the languages to mark as selected.
+	 * @cfg {boolean} [multiple] Whether several languages can be selected.
+	 * @cfg {number} [maxSelected] Number of languages that can be selected. When as many
+	 *  languages are selected, the other languages are marked as disabled.
+	 * @cfg {Function} [clickhandler] Callback when language is selected. Called with the
+	 *  language code and how it was selected: click, enter or quicklist.
 	 * @cfg {jQuery|Function} [noResultsTemplate]
 	 */
 	function LanguageCategoryDisplay( element, options ) {
 		this.$element = $( element );
 		this.options = $.extend( {}, $.fn.lcd.defaults, options );
-		// Ensure the internal region 'all' is always present
-		if ( this.options.showRegions.indexOf( 'all' ) === -1 ) {
-			this.options.showRegions.push( 'all' );
-		}
 
-		this.$element.addClass( 'uls-lcd' );
+		this.$element.addClass( 'uls-lcd' ).attr( 'role', 'listbox' );
+		if ( this.options.multiple ) {
+			this.$element.attr( 'aria-multiselectable', 'true' );
+		}
 		this.regionLanguages = {};
+		// Groups of search results added with appendToGroup, keyed by id
+		this.groups = {};
 		this.renderTimeout = null;
 		this.cachedQuicklist = null;
 		this.groupByRegionOverride = null;
+		this.$activeItem = null;
+		this.scrollToSelectedPending = false;
 
 		this.render();
 		this.listen();
@@ -80,7 +98,9 @@
 				return false;
 			}
 
-			if ( !this.isGroupingByRegionEnabled() ) {
+			if ( this.groups[ regionCode ] ) {
+				regions = [ regionCode ];
+			} else if ( !this.isGroupingByRegionEnabled() ) {
 				regions = [ 'all' ];
 
 				// Make sure we do not get duplicates
@@ -103,6 +123,7 @@
 			// all the languages to speed up performance.
 			clearTimeout( this.renderTimeout );
 			this.renderTimeout = setTimeout( function () {
+				this.renderTimeout = null;
 				this.renderRegions();
 			}.bind( this ), 50 );
 
@@ -134,7 +155,7 @@
 		},
 
 		render: function () {
-			var $section,
+			var $section, titleId,
 				$quicklist = this.buildQuicklist(),
 				regions = [],
 				regionNames = {
@@ -150,6 +171,11 @@
 					PA: 'Pacific'
 				};
 
+			// Ensure the internal region 'all' is always present
+			if ( this.options.showRegions.indexOf( 'all' ) === -1 ) {
+				this.options.showRegions = this.options.showRegions.concat( 'all' );
+			}
+
 			if ( $quicklist.length ) {
 				regions.push( $quicklist );
 			} else {
@@ -159,13 +185,21 @@
 
 			this.options.showRegions.forEach( function ( regionCode ) {
 				this.regionLanguages[ regionCode ] = [];
+				titleId = uniqueId();
 
 				$section = $( '<div>' )
 					.addClass( 'uls-lcd-region-section hide' )
-					.attr( 'data-region', regionCode );
+					.attr( {
+						'data-region': regionCode,
+						role: 'group',
+						'aria-labelledby': titleId
+					} );
 
 				$( '<h3>' )
-					.attr( 'data-i18n', 'uls-region-' + regionCode )
+					.attr( {
+						id: titleId,
+						'data-i18n': 'uls-region-' + regionCode
+					} )
 					.addClass( 'uls-lcd-region-title' )
 					.text( regionNames[ regionCode ] )
 					.appendTo( $section );
@@ -178,6 +212,79 @@
 			this.i18n();
 		},
 
+		/**
+		 * Render the language list from scratch, for example after changing
+		 * the options. The languages have to be appended again after this.
+		 */
+		refresh: function () {
+			clearTimeout( this.renderTimeout );
+			this.renderTimeout = null;
+			this.setActiveItem( null );
+
+			this.$element
+				.empty()
+				.removeClass( 'uls-lcd--no-quicklist uls-no-results' );
+			this.regionLanguages = {};
+			this.groups = {};
+			this.cachedQuicklist = null;
+
+			this.render();
+		},
+
+		/**
+		 * Adds a language to a group of search results, which is shown after
+		 * the other results under its own heading.
+		 * @param {string} langCode
+		 * @param {string} group Identifier of the group
+		 * @param {string} title Heading of the group, explaining why its languages matched
+		 * @return {boolean} Whether the language was known and accepted
+		 */
+		appendToGroup: function ( langCode, group, title ) {
+			var titleId, $section;
+
+			if ( !this.groups[ group ] ) {
+				titleId = uniqueId();
+				$section = $( '<div>' )
+					.addClass( 'uls-lcd-region-section uls-lcd-group hide' )
+					.attr( {
+						'data-region': group,
+						role: 'group',
+						'aria-labelledby': titleId
+					} );
+
+				$( '<h3>' )
+					.attr( 'id', titleId )
+					.addClass( 'uls-lcd-region-title' )
+					.text( title )
+					.appendTo( $section );
+
+				this.$element.append( $section );
+				this.groups[ group ] = $section;
+				this.regionLanguages[ group ] = [];
+			}
+
+			if ( this.regionLanguages[ group ].indexOf( langCode ) > -1 ) {
+				return true;
+			}
+
+			return this.append( langCode, group );
+		},
+
+		/**
+		 * Removes the groups of search results, for example when a new search starts.
+		 */
+		removeGroups: function () {
+			if ( this.$activeItem && this.$activeItem.closest( '.uls-lcd-group' ).length ) {
+				this.setActiveItem( null );
+			}
+
+			Object.keys( this.groups ).forEach( function ( group ) {
+				this.groups[ group ].remove();
+				delete this.regionLanguages[ group ];
+			}.bind( this ) );
+			this.groups = {};
+		},
+
 		/**
 		 * Renders a region and displays it if it has content.
 		 */
@@ -213,6 +320,14 @@
 				lcd.regionLanguages[ regionCode ] = [];
 			} );
 
+			// The active item may have been removed with its language block
+			if ( this.$activeItem && !$.contains( this.$element[ 0 ], this.$activeItem[ 0 ] ) ) {
+				this.setActiveItem( null );
+			}
+
+			if ( this.scrollToSelectedPending ) {
+				this.scrollToSelected();
+			}
 		},
 
 		/**
@@ -244,8 +359,8 @@
 					items.push( this.renderItem( languages[ i ] ) );
 				}
 
-				columns.push( $( '<ul>' ).addClass( columnsClasses ).append( items ) );
-				rows.push( $( '<div>' ).addClass( 'row uls-language-block' ).append( columns ) );
+				columns.push( $( '<ul>' ).addClass( columnsClasses ).attr( 'role', 'presentation' ).append( items ) );
+				rows.push( $( '<div>' ).addClass( 'row uls-language-block' ).attr( 'role', 'presentation' ).append( columns ) );
 			} else {
 				// For medium and wide ULS, clever column placement
 				for ( i = 0; i < languagesCount; i++ ) {
@@ -265,10 +380,10 @@
 					items.push( this.renderItem( languages[ i ] ) );
 
 					if ( items.length >= itemsPerColumn || lastItem || force ) {
-						columns.push( $( '<ul>' ).addClass( columnsClasses ).append( items ) );
+						columns.push( $( '<ul>' ).addClass( columnsClasses ).attr( 'role', 'presentation' ).append( items ) );
 						items = [];
 						if ( columns.length >= columnsPerRow || lastItem ) {
-							rows.push( $( '<div>' ).addClass( 'row uls-language-block' ).append( columns ) );
+							rows.push( $( '<div>' ).addClass( 'row uls-language-block' ).attr( 'role', 'presentation' ).append( columns ) );
 							columns = [];
 						}
 					}
@@ -293,6 +408,15 @@
 			li = document.createElement( 'li' );
 			li.title = name;
 			li.setAttribute( 'data-code', code );
+			li.setAttribute( 'role', 'option' );
+
+			if ( this.options.selected.indexOf( code ) !== -1 ) {
+				li.className = 'uls-lcd-item-selected';
+				li.setAttribute( 'aria-selected', 'true' );
+			} else if ( this.isSelectionFull() ) {
+				li.className = 'uls-lcd-item-disabled';
+				li.setAttribute( 'aria-disabled', 'true' );
+			}
 
 			a = document.createElement( 'a' );
 			a.appendChild( document.createTextNode( autonym ) );
@@ -307,6 +431,38 @@
 			return li;
 		},
 
+		/**
+		 * Mark languages as selected.
+		 * @param {string[]} codes Language codes
+		 */
+		setSelected: function ( codes ) {
+			var full;
+
+			this.options.selected = codes;
+			full = this.isSelectionFull();
+
+			this.$element.find( 'li[data-code]' ).each( function () {
+				var $item = $( this ),
+					selected = codes.indexOf( $item.data( 'code' ) ) !== -1;
+
+				$item
+					.toggleClass( 'uls-lcd-item-selected', selected )
+					.toggleClass( 'uls-lcd-item-disabled', full && !selected )
+					.attr( {
+						'aria-selected': selected ? 'true' : null,
+						'aria-disabled': full && !selected ? 'true' : null
+					} );
+			} );
+		},
+
+		/**
+		 * Whether no more languages can be selected.
+		 * @return {boolean}
+		 */
+		isSelectionFull: function () {
+			return !!this.options.maxSelected && this.options.selected.length >= this.options.maxSelected;
+		},
+
 		i18n: function () {
 			this.$element.find( '[data-i18n]' ).i18n();
 		},
@@ -319,7 +475,8 @@
 		},
 
 		buildQuicklist: function () {
-			var quickList, $quickListSection, $quickListSectionTitle;
+			var quickList, $quickListSection, $quickListSectionTitle,
+				titleId = uniqueId();
 
 			if ( this.cachedQuicklist !== null ) {
 				return this.cachedQuicklist;
@@ -329,21 +486,31 @@
 				this.options.quickList = this.options.quickList();
 			}
 
-			if ( !this.options.quickList.length ) {
+			quickList = this.options.recentLanguages.filter( function ( code ) {
+				return this.options.languages[ code ] && this.options.quickList.indexOf( code ) === -1;
+			}.bind( this ) ).concat( this.options.quickList );
+
+			if ( !quickList.length ) {
 				this.cachedQuicklist = $( [] );
 				return this.cachedQuicklist;
 			}
 
 			// Pick only the first elements, because we don't have room for more
-			quickList = this.options.quickList;
 			quickList = quickList.slice( 0, 16 );
 			quickList.sort( $.uls.data.sortByAutonym );
 
 			$quickListSection = $( '<div>' )
-				.addClass( 'uls-lcd-region-section uls-lcd-quicklist' );
+				.addClass( 'uls-lcd-region-section uls-lcd-quicklist' )
+				.attr( {
+					role: 'group',
+					'aria-labelledby': titleId
+				} );
 
 			$quickListSectionTitle = $( '<h3>' )
-				.attr( 'data-i18n', 'uls-common-languages' )
+				.attr( {
+					id: titleId,
+					'data-i18n': 'uls-common-languages'
+				} )
 				.addClass( 'uls-lcd-region-title' )
 				.text( 'Suggested languages' ); // This is placeholder text if jquery.i18n not present
 			$quickListSection.append( $quickListSectionTitle );
@@ -361,6 +528,31 @@
 			return this.cachedQuicklist;
 		},
 
+		/**
+		 * Build the quicklist again, for example after the recently selected
+		 * languages have changed. The rest of the language list is kept as it is.
+		 */
+		refreshQuicklist: function () {
+			var $quicklist,
+				$oldQuicklist = this.$element.children( '.uls-lcd-quicklist' );
+
+			this.cachedQuicklist = null;
+			$quicklist = this.buildQuicklist();
+
+			if ( $oldQuicklist.length ) {
+				$oldQuicklist.replaceWith( $quicklist );
+
+				if ( this.$activeItem && $.contains( $oldQuicklist[ 0 ], this.$activeItem[ 0 ] ) ) {
+					// Keep the same language active in the new quicklist
+					this.setActiveItem( $quicklist.find( 'li[data-code="' + this.$activeItem.data( 'code' ) + '"]' ) );
+				}
+			} else {
+				this.$element.prepend( $quicklist );
+			}
+
+			this.$element.toggleClass( 'uls-lcd--no-quicklist', !$quicklist.length );
+		},
+
 		show: function () {
 			if ( !this.regionDivs ) {
 				this.render();
@@ -373,6 +565,202 @@
 		empty: function () {
 			this.$element.addClass( 'uls-lcd--no-quicklist' );
 			this.$element.find( '.uls-lcd-quicklist' ).addClass( 'hide' );
+			this.setActiveItem( null );
+		},
+
+		/**
+		 * Get the language items currently displayed, in document order.
+		 * @return {jQuery}
+		 */
+		getItems: function () {
+			if ( this.$element.hasClass( 'uls-no-results' ) ) {
+				// Suggestions in the no results view
+				return this.$element.find( '.uls-no-results-view .uls-language-block > ul > li' );
+			}
+
+			return this.$element.children( '.uls-lcd-region-section' ).not( '.hide' )
+				.find( '.uls-language-block > ul > li' );
+		},
+
+		/**
+		 * Mark a language item as the active one for keyboard navigation.
+		 * Triggers activeitemchange.uls with the id of the new active item.
+		 * @param {jQuery|null} $item The item to activate, or null to clear
+		 */
+		setActiveItem: function ( $item ) {
+			var previous = this.$activeItem;
+
+			if ( previous ) {
+				previous.removeClass( 'uls-lcd-item-active' );
+			}
+
+			this.$activeItem = $item && $item.length ? $item : null;
+
+			if ( this.$activeItem ) {
+				if ( !this.$activeItem.attr( 'id' ) ) {
+					this.$activeItem.attr( 'id', uniqueId() );
+				}
+
+				this.$activeItem.addClass( 'uls-lcd-item-active' );
+				this.scrollToItem( this.$activeItem );
+			}
+
+			if ( previous || this.$activeItem ) {
+				this.$element.trigger( 'activeitemchange.uls',
+					this.$activeItem ? this.$activeItem.attr( 'id' ) : '' );
+			}
+		},
+
+		/**
+		 * Move the active item in the given direction. The grid is navigated by
+		 * its visual layout: up and down move within a column and continue in the
+		 * same column of the adjacent row, left and right move between columns.
+		 * @param {string} direction One of up, down, left, right, first, last,
+		 *  previousRegion or nextRegion
+		 * @return {boolean} Whether there was an item to activate
+		 */
+		moveActiveItem: function ( direction ) {
+			var $rows, $row, $columns, $column, $sections, $section, index,
+				$items = this.getItems(),
+				$active = this.$activeItem,
+				$target = $( [] );
+
+			if ( !$items.length ) {
+				return false;
+			}
+
+			if ( !$active || $items.index( $active ) === -1 ) {
+				if ( direction === 'up' || direction === 'last' || direction === 'previousRegion' ) {
+					$target = $items.last();
+				} else {
+					$target = $items.first();
+				}
+
+				this.setActiveItem( $target );
+				return true;
+			}
+
+			if ( this.$element.css( 'direction' ) === 'rtl' ) {
+				if ( direction === 'left' ) {
+					direction = 'right';
+				} else if ( direction === 'right' ) {
+					direction = 'left';
+				}
+			}
+
+			$column = $active.parent();
+			$row = $column.parent();
+			$rows = $items.parent().parent().filter( '.uls-language-block' );
+			index = $column.index();
+
+			switch ( direction ) {
+				case 'up':
+					$target = $active.prev( 'li' );
+					if ( !$target.length && $rows.index( $row ) > 0 ) {
+						$columns = $rows.eq( $rows.index( $row ) - 1 ).children( 'ul' );
+						$target = $columns.eq( Math.min( index, $columns.length - 1 ) )
+							.children( 'li' ).last();
+					}
+					break;
+				case 'down':
+					$target = $active.next( 'li' );
+					if ( !$target.length ) {
+						$columns = $rows.eq( $rows.index( $row ) + 1 ).children( 'ul' );
+						$target = $columns.eq( Math.min( index, $columns.length - 1 ) )
+							.children( 'li' ).first();
+					}
+					break;
+				case 'left':
+				case 'right':
+					$column = direction === 'left' ? $column.prev( 'ul' ) : $column.next( 'ul' );
+					$target = $column.children( 'li' );
+					$target = $target.eq( Math.min( $active.index(), $target.length - 1 ) );
+					break;
+				case 'first':
+					$target = $items.first();
+					break;
+				case 'last':
+					$target = $items.last();
+					break;
+				case 'previousRegion':
+				case 'nextRegion':
+					$sections = $items.closest( '.uls-lcd-region-section' );
+					$section = $active.closest( '.uls-lcd-region-section' );
+					index = $sections.index( $section ) + ( direction === 'nextRegion' ? 1 : -1 );
+					$section = index < 0 ? $sections.first() : $sections.eq( index );
+					$target = $section.length ? $section.find( $items ).first() : $items.last();
+					break;
+			}
+
+			if ( $target.length ) {
+				this.setActiveItem( $target );
+			}
+
+			return true;
+		},
+
+		/**
+		 * Select the active item, as if it was clicked.
+		 * @return {boolean} Whether there was an active item to select
+		 */
+		selectActiveItem: function () {
+			if ( !this.$activeItem || !this.options.clickhandler ) {
+				return false;
+			}
+
+			this.options.clickhandler.call(
+				this.$activeItem[ 0 ],
+				this.$activeItem.data( 'code' ),
+				this.getSelectionSource( this.$activeItem, 'enter' )
+			);
+
+			return true;
+		},
+
+		/**
+		 * Get the source of selecting an item, as passed to the click handler.
+		 * @param {jQuery} $item
+		 * @param {string} source click or enter
+		 * @return {string} The given source, or quicklist for suggested languages
+		 */
+		getSelectionSource: function ( $item, source ) {
+			return $item.closest( '.uls-lcd-quicklist' ).length ? 'quicklist' : source;
+		},
+
+		/**
+		 * Scroll the language list so that the first selected language is visible.
+		 * If the languages are still being rendered, scroll after that.
+		 */
+		scrollToSelected: function () {
+			var $selected;
+
+			if ( this.renderTimeout !== null ) {
+				this.scrollToSelectedPending = true;
+				return;
+			}
+
+			this.scrollToSelectedPending = false;
+			$selected = this.getItems().filter( '.uls-lcd-item-selected' ).first();
+			if ( $selected.length ) {
+				this.scrollToItem( $selected );
+			}
+		},
+
+		/**
+		 * Scroll the language list so that the given item is visible.
+		 * @param {jQuery} $item
+		 */
+		scrollToItem: function ( $item ) {
+			var scrollTop = this.$element.scrollTop(),
+				height = this.$element.innerHeight(),
+				itemTop = $item.offset().top - this.$element.offset().top + scrollTop,
+				itemBottom = itemTop + $item.outerHeight();
+
+			if ( itemTop < scrollTop ) {
+				this.$element.scrollTop( itemTop );
+			} else if ( itemBottom > scrollTop + height ) {
+				this.$element.scrollTop( itemBottom - height );
+			}
 		},
 
 		focus: function () {
@@ -404,12 +792,33 @@
 			this.$element.append( $noResults.addClass( 'uls-no-results-view' ) );
 		},
 
+		/**
+		 * Remove the rendered languages and event handlers,
+		 * and detach from the container element.
+		 */
+		destroy: function () {
+			clearTimeout( this.renderTimeout );
+			this.renderTimeout = null;
+			this.setActiveItem( null );
+
+			this.$element
+				.off( '.lcd' )
+				.empty()
+				.removeClass( 'uls-lcd uls-lcd--no-quicklist uls-no-results' )
+				.removeAttr( 'role' )
+				.removeData( 'lcd' );
+		},
+
 		listen: function () {
 			var lcd = this;
 
 			if ( this.options.clickhandler ) {
-				this.$element.on( 'click', '.row li', function () {
-					lcd.options.clickhandler.call( this, $( this ).data( 'code' ) );
+				this.$element.on( 'click.lcd', '.row li', function () {
+					lcd.options.clickhandler.call(
+						this,
+						$( this ).data( 'code' ),
+						lcd.getSelectionSource( $( this ), 'click' )
+					);
 				} );
 			}
 		}
@@ -422,6 +831,10 @@
 				options = typeof option === 'object' && option;
 
 			if ( !data ) {
+				if ( option === 'destroy' ) {
+					return;
+				}
+
 				$this.data( 'lcd', ( data = new LanguageCategoryDisplay( this, options ) ) );
 			}
 
@@ -446,16 +859,28 @@
 		languageDecorator: undefined,
 		// Likely candidates
 		quickList: [],
+		// Recently selected languages, merged with the quickList
+		recentLanguages: [],
+		// Languages marked as selected
+		selected: [],
+		// Whether several languages can be selected
+		multiple: false,
+		// Number of languages that can be selected, if limited
+		maxSelected: undefined,
 		// Callback function for language selection
 		clickhandler: undefined,
 		// Callback function when no search results
 		noResultsTemplate: function () {
 			var $suggestionsContainer, $suggestions,
+				titleId = uniqueId(),
 				$noResultsTemplate = $( noResultsTemplate );
 
 			$suggestions = this.buildQuicklist().clone();
+			$suggestions.find( 'li' ).removeAttr( 'id' ).removeClass( 'uls-lcd-item-active' );
 			$suggestions.removeClass( 'hide' )
+				.attr( 'aria-labelledby', titleId )
 				.find( 'h3' )
+				.attr( 'id', titleId )
 				.data( 'i18n', 'uls-no-results-suggestion-title' )
 				.text( 'You may be interested in:' )
 				.i18n();
@@ -22,4 +22,1010 @@
 		assert.ok( $.fn.uls, '$.fn.uls is defined' );
 	} );
 
+	asyncTest( '-- Accessibility', 9, function ( assert ) {
+		var uls,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$trigger.uls( {
+			languages: { en: 'English', fi: 'suomi' }
+		} );
+		uls = $trigger.data( 'uls' );
+		uls.show();
+
+		assert.deepEqual( [
+			uls.$languageFilter.attr( 'role' ),
+			uls.$languageFilter.attr( 'aria-autocomplete' ),
+			uls.$languageFilter.attr( 'aria-controls' )
+		], [ 'combobox', 'list', uls.$resultsView.attr( 'id' ) ], 'The search box is a combobox controlling the language list' );
+		assert.strictEqual( uls.$resultsView.attr( 'role' ), 'listbox', 'The language list is a listbox' );
+
+		// The language list is rendered after a timeout
+		setTimeout( function () {
+			var $item = uls.lcd.getItems().first(),
+				$section = $item.closest( '.uls-lcd-region-section' );
+
+			assert.strictEqual( $item.attr( 'role' ), 'option', 'Languages are options' );
+			assert.strictEqual( $section.attr( 'role' ), 'group', 'Regions are groups' );
+			assert.strictEqual(
+				$( '#' + $section.attr( 'aria-labelledby' ) ).text(),
+				$section.children( 'h3' ).text(),
+				'Regions are labelled by their headings'
+			);
+
+			uls.lcd.setActiveItem( $item );
+			assert.strictEqual( uls.$languageFilter.attr( 'aria-activedescendant' ), $item.attr( 'id' ),
+				'The active item is the active descendant of the search box' );
+			uls.lcd.setActiveItem( null );
+			assert.strictEqual( uls.$languageFilter.attr( 'aria-activedescendant' ), undefined,
+				'There is no active descendant without an active item' );
+
+			uls.$languageFilter.val( 'suomi' );
+			uls.languageFilter.search();
+			assert.strictEqual( uls.$status.text(), 'One language found', 'The number of results is announced' );
+
+			uls.$languageFilter.val( 'xyzzy' );
+			uls.languageFilter.search();
+			assert.strictEqual( uls.$status.text(), 'No results found', 'No results are announced' );
+
+			$trigger.uls( 'destroy' );
+			start();
+		}, 100 );
+	} );
+
+	asyncTest( '-- Moving the active item', 13, function ( assert ) {
+		var lcd,
+			$list = $( '<div>' ).appendTo( '#qunit-fixture' );
+
+		function move( direction ) {
+			lcd.moveActiveItem( direction );
+			return lcd.$activeItem.data( 'code' );
+		}
+
+		lcd = $list.lcd( {
+			languages: { de: 'Deutsch', en: 'English', fi: 'suomi', fr: 'français', sv: 'svenska', nl: 'Nederlands', hi: 'हिन्दी', ja: '日本語' },
+			itemsPerColumn: 2,
+			columns: 2,
+			groupByRegion: true,
+			showRegions: [ 'EU', 'AS' ]
+		} ).data( 'lcd' );
+		[ 'de', 'en', 'fi', 'fr', 'sv', 'nl' ].forEach( function ( code ) {
+			lcd.append( code, 'EU' );
+		} );
+		[ 'hi', 'ja' ].forEach( function ( code ) {
+			lcd.append( code, 'AS' );
+		} );
+
+		// The language list is rendered after a timeout. Europe has the
+		// columns [ de, en ] [ fi, fr ] in the first row and [ sv, nl ]
+		// in the second one, and Asia has [ hi, ja ].
+		setTimeout( function () {
+			assert.strictEqual( move( 'down' ), 'de', 'The first item is activated first' );
+			assert.strictEqual( move( 'down' ), 'en', 'Down moves within the column' );
+			assert.strictEqual( move( 'down' ), 'sv', 'Down continues in the same column of the next row' );
+			assert.strictEqual( move( 'up' ), 'en', 'Up continues in the same column of the previous row' );
+			assert.strictEqual( move( 'right' ), 'fr', 'Right moves to the next column' );
+			assert.strictEqual( move( 'left' ), 'en', 'Left moves to the previous column' );
+			assert.strictEqual( move( 'left' ), 'en', 'Left stays in the first column' );
+			assert.strictEqual( move( 'last' ), 'ja', 'End moves to the last item' );
+			assert.strictEqual( move( 'first' ), 'de', 'Home moves to the first item' );
+			assert.strictEqual( move( 'nextRegion' ), 'hi', 'Page down moves to the next region' );
+			assert.strictEqual( move( 'previousRegion' ), 'de', 'Page up moves to the previous region' );
+
+			$list.css( 'direction', 'rtl' );
+			assert.strictEqual( move( 'left' ), 'fi', 'Left moves to the next column in right-to-left pages' );
+			assert.strictEqual( move( 'right' ), 'de', 'Right moves to the previous column in right-to-left pages' );
+
+			lcd.destroy();
+			start();
+		}, 100 );
+	} );
+
+	asyncTest( '-- Keyboard navigation', 4, function ( assert ) {
+		var uls,
+			selected = [],
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		function press( keyCode, type, extra ) {
+			uls.$languageFilter.trigger( $.Event( type || 'keydown', $.extend( { keyCode: keyCode, which: keyCode }, extra ) ) );
+		}
+
+		$trigger.uls( {
+			languages: { en: 'English', fi: 'suomi' }
+		} ).on( 'ulsselect', function ( e, langCode, source ) {
+			selected.push( [ langCode, source ] );
+		} );
+		uls = $trigger.data( 'uls' );
+		uls.show();
+
+		// The language list is rendered after a timeout
+		setTimeout( function () {
+			var $items = uls.lcd.getItems();
+
+			press( 40 );
+			assert.strictEqual( uls.lcd.$activeItem[ 0 ], $items[ 0 ], 'Arrow down activates the first language' );
+
+			press( 40, 'keyup' );
+			press( 40, 'keydown', { shiftKey: true } );
+			assert.strictEqual( uls.lcd.$activeItem[ 0 ], $items[ 0 ], 'Key up and modified keys do not move' );
+
+			press( 35 );
+			assert.strictEqual( uls.lcd.$activeItem[ 0 ], $items[ 1 ], 'End activates the last language' );
+
+			press( 13 );
+			assert.deepEqual( selected, [ [ $items.eq( 1 ).data( 'code' ), 'enter' ] ], 'Enter selects the active language' );
+
+			$trigger.uls( 'destroy' );
+			start();
+		}, 100 );
+	} );
+
+	test( '-- Typing clears the active item', 2, function ( assert ) {
+		var uls, $item,
+			selected = [],
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$trigger.uls( {
+			languages: { en: 'English', fi: 'suomi' },
+			onSelect: function ( language ) {
+				selected.push( language );
+			}
+		} );
+		uls = $trigger.data( 'uls' );
+		$item = $( '<li>' ).attr( 'data-code', 'en' ).appendTo( uls.lcd.$element );
+		uls.lcd.setActiveItem( $item );
+
+		uls.$languageFilter.val( 'fi' ).trigger( $.Event( 'keypress', { keyCode: 105, which: 105 } ) );
+		assert.strictEqual( uls.lcd.$activeItem, null, 'Active item is cleared when typing' );
+
+		uls.$languageFilter.trigger( $.Event( 'keydown', { keyCode: 13, which: 13 } ) );
+		assert.deepEqual( selected, [ 'fi' ], 'Enter selects the typed language, not the old active item' );
+		$trigger.uls( 'destroy' );
+	} );
+
+	test( '-- Destroying', 7, function ( assert ) {
+		var uls,
+			canceled = 0,
+			repositioned = 0,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$trigger.uls( {
+			languages: { en: 'English', fi: 'suomi' },
+			onCancel: function () {
+				canceled++;
+			}
+		} );
+		uls = $trigger.data( 'uls' );
+		// Bound when the menu is shown
+		uls.reposition = function () {
+			repositioned++;
+		};
+
+		uls.show();
+		$( window ).trigger( 'resize' );
+		$( 'html' ).trigger( 'click' );
+		assert.deepEqual( [ repositioned, canceled ], [ 1, 1 ], 'Resizing repositions and clicking outside cancels' );
+
+		uls.show();
+		$trigger.uls( 'destroy' );
+		assert.ok( !$.contains( document.body, uls.$menu[ 0 ] ), 'The menu is removed' );
+		assert.strictEqual( $trigger.data( 'uls' ), undefined, 'The data is removed' );
+
+		canceled = 0;
+		$( 'html' ).trigger( 'click' );
+		assert.strictEqual( canceled, 0, 'Clicking outside does not cancel' );
+
+		$( window ).trigger( 'resize' );
+		assert.strictEqual( repositioned, 1, 'Resizing does not reposition' );
+
+		$trigger.trigger( 'click' );
+		assert.strictEqual( uls.shown, false, 'Clicking the trigger does not show the menu' );
+		assert.strictEqual( $trigger.data( 'uls' ), undefined, 'Clicking the trigger does not create a new selector' );
+	} );
+
+	asyncTest( '-- Inline mode', 6, function ( assert ) {
+		var uls,
+			selected = [],
+			$container = $( '<div>' ).appendTo( '#qunit-fixture' );
+
+		function pressEnter() {
+			uls.$languageFilter
+				.trigger( $.Event( 'keydown', { keyCode: 13, which: 13 } ) )
+				.trigger( $.Event( 'keyup', { keyCode: 13, which: 13 } ) );
+		}
+
+		$container.uls( {
+			languages: $.uls.data.getAutonyms(),
+			inline: true,
+			recentLanguages: true,
+			recentLanguagesKey: 'uls-test-inline',
+			onSelect: function ( langCode ) {
+				selected.push( langCode );
+			}
+		} );
+		uls = $container.data( 'uls' );
+		uls.clearRecentLanguages();
+		uls.show();
+
+		uls.$menu.trigger( $.Event( 'keyup', { keyCode: 27, which: 27 } ) );
+		assert.ok( uls.shown && uls.$menu.css( 'display' ) !== 'none', 'Escape does not hide the list' );
+
+		$( 'html' ).trigger( 'click' );
+		assert.ok( uls.shown && uls.$menu.css( 'display' ) !== 'none', 'Clicking outside does not hide the list' );
+
+		// The language list is rendered after a timeout
+		setTimeout( function () {
+			uls.$languageFilter.val( 'suomi' );
+			uls.languageFilter.search();
+			pressEnter();
+			assert.deepEqual( selected, [ 'fi' ], 'Enter selects the language once' );
+			assert.ok( uls.$menu.css( 'display' ) !== 'none', 'The list stays visible after selecting' );
+			assert.ok(
+				uls.$menu.find( 'li[data-code="fi"]' ).hasClass( 'uls-lcd-item-selected' ),
+				'The selected language is marked'
+			);
+
+			uls.$languageFilter.val( '' );
+			uls.languageFilter.search();
+			uls.lcd.setActiveItem( uls.$menu.find( '.uls-lcd-quicklist li[data-code="fi"]' ) );
+			pressEnter();
+			assert.ok(
+				uls.lcd.$activeItem && $.contains( uls.$menu[ 0 ], uls.lcd.$activeItem[ 0 ] ),
+				'The active item is kept in the rebuilt quicklist'
+			);
+
+			uls.clearRecentLanguages();
+			$container.uls( 'destroy' );
+			start();
+		}, 100 );
+	} );
+
+	test( '-- Reading values', 6, function ( assert ) {
+		var $trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$trigger.uls( {
+			languages: { en: 'English', fi: 'suomi' }
+		} );
+		assert.strictEqual( $trigger.uls( 'value' ), undefined, 'No language is selected' );
+		assert.strictEqual( $trigger.uls( 'option', 'placement' ), undefined, 'The option is not set' );
+		assert.strictEqual( $trigger.uls( 'value', 'fi' ), $trigger, 'Setting a value returns the jQuery object' );
+		assert.strictEqual( $trigger.uls( 'value' ), 'fi', 'The language is selected' );
+
+		$trigger.uls( 'option', 'fuzzySearch', true );
+		assert.strictEqual( $trigger.uls( 'option', 'fuzzySearch', undefined ), $trigger,
+			'Setting an option returns the jQuery object' );
+		assert.strictEqual( $trigger.uls( 'option', 'fuzzySearch' ), false,
+			'Setting an option to undefined resets it to the default' );
+		$trigger.uls( 'destroy' );
+	} );
+
+	asyncTest( '-- Changing options', 4, function ( assert ) {
+		var uls, selected,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$trigger.uls( {
+			languages: { en: 'English', fi: 'suomi' },
+			inline: true
+		} );
+		uls = $trigger.data( 'uls' );
+		uls.show();
+
+		$trigger.uls( 'option', 'languages', { de: 'Deutsch', sv: 'svenska' } );
+		$trigger.uls( 'option', 'onSelect', function ( langCode ) {
+			selected = langCode;
+		} );
+		assert.deepEqual( $trigger.uls( 'option', 'languages' ), { de: 'Deutsch', sv: 'svenska' },
+			'The option is changed' );
+
+		// The language list is rendered after a timeout
+		setTimeout( function () {
+			assert.deepEqual(
+				uls.$menu.find( 'li[data-code]' ).map( function () {
+					return $( this ).data( 'code' );
+				} ).get().sort(),
+				[ 'de', 'sv' ],
+				'The language list is rendered with the new languages'
+			);
+
+			uls.$menu.find( 'li[data-code="sv"]' ).trigger( 'click' );
+			assert.strictEqual( selected, 'sv', 'The new onSelect callback is called' );
+			assert.strictEqual( uls.value(), 'sv', 'The language is selected' );
+
+			$trigger.uls( 'destroy' );
+			start();
+		}, 100 );
+	} );
+
+	test( '-- Positioning', 8, function ( assert ) {
+		var uls,
+			viewport = { top: 0, left: 0, width: 1000, height: 800 },
+			trigger = { top: 100, left: 50, width: 50, height: 20 },
+			original = {},
+			windowMethods = {
+				scrollTop: 'top',
+				scrollLeft: 'left',
+				width: 'width',
+				height: 'height'
+			},
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		// Stub the size of the window, the trigger and the menu
+		$.each( windowMethods, function ( method, property ) {
+			original[ method ] = $.fn[ method ];
+			$.fn[ method ] = function () {
+				return this[ 0 ] === window && !arguments.length ?
+					viewport[ property ] :
+					original[ method ].apply( this, arguments );
+			};
+		} );
+
+		try {
+			$trigger.uls( {
+				languages: { en: 'English', fi: 'suomi' },
+				placement: 'below'
+			} );
+			uls = $trigger.data( 'uls' );
+			uls.$element.offset = function () {
+				return { top: trigger.top, left: trigger.left };
+			};
+			uls.$element.outerWidth = function () {
+				return trigger.width;
+			};
+			Object.defineProperty( $trigger[ 0 ], 'offsetHeight', {
+				get: function () {
+					return trigger.height;
+				}
+			} );
+			uls.$menu.outerWidth = function () {
+				return 300;
+			};
+			uls.$menu.outerHeight = function () {
+				return 200;
+			};
+
+			assert.deepEqual( uls.position(), { top: 120, left: 50 }, 'Below the trigger, aligned to its start' );
+
+			trigger.top = 700;
+			assert.deepEqual( uls.position(), { top: 500, left: 50 }, 'Above the trigger if there is no room below' );
+
+			trigger.left = 900;
+			assert.strictEqual( uls.position().left, 700, 'Moved inside the viewport horizontally' );
+
+			trigger = { top: 100, left: 500, width: 50, height: 20 };
+			uls.options.placement = 'start';
+			assert.deepEqual( uls.position(), { top: 100, left: 200 }, 'Before the trigger' );
+
+			trigger.left = 100;
+			assert.strictEqual( uls.position().left, 150, 'After the trigger if there is no room before it' );
+
+			trigger.left = 500;
+			$trigger.css( 'direction', 'rtl' );
+			assert.strictEqual( uls.position().left, 550, 'Start is on the right in right-to-left pages' );
+			$trigger.css( 'direction', '' );
+
+			uls.options.placement = undefined;
+			viewport.left = 500;
+			assert.strictEqual( uls.position().left, 850, 'Centered in a horizontally scrolled window' );
+
+			uls.options.placement = 'below';
+			uls.show();
+			trigger.top = 300;
+			$( window ).trigger( 'scroll' );
+			assert.strictEqual( uls.$menu.css( 'top' ), '320px', 'Moved with the trigger when the window is scrolled' );
+		} finally {
+			$.extend( $.fn, original );
+			$trigger.uls( 'destroy' );
+		}
+	} );
+
+	test( '-- Focus', 8, function ( assert ) {
+		var uls, trapped,
+			$trigger = $( '<button>' ).appendTo( '#qunit-fixture' ),
+			$target = $( '<button>' ).appendTo( '#qunit-fixture' ),
+			$container = $( '<div>' ).appendTo( '#qunit-fixture' );
+
+		function pressTab() {
+			trapped = false;
+			uls.$languageFilter.trigger( $.Event( 'keydown', { keyCode: 9, which: 9 } ) );
+			return trapped;
+		}
+
+		$trigger.uls( {
+			languages: { en: 'English', fi: 'suomi' },
+			dialog: true
+		} );
+		uls = $trigger.data( 'uls' );
+		uls.trapFocus = function () {
+			trapped = true;
+		};
+		assert.strictEqual( $trigger.attr( 'aria-haspopup' ), 'dialog', 'The trigger opens a dialog' );
+
+		uls.show();
+		uls.$languageFilter.focus();
+		assert.strictEqual( $trigger.attr( 'aria-expanded' ), 'true', 'The trigger is expanded when shown' );
+		assert.ok( pressTab(), 'Tab is kept in the dialog' );
+
+		uls.cancel();
+		assert.strictEqual( $trigger.attr( 'aria-expanded' ), 'false', 'The trigger is collapsed when hidden' );
+		assert.strictEqual( document.activeElement, $trigger[ 0 ], 'The focus returns to the trigger' );
+
+		uls.option( 'focusTarget', $target );
+		uls.show();
+		uls.$languageFilter.focus();
+		uls.select( 'fi', 'click' );
+		assert.strictEqual( document.activeElement, $target[ 0 ], 'The focus moves to the focus target' );
+		$trigger.uls( 'destroy' );
+
+		$container.uls( {
+			languages: { en: 'English', fi: 'suomi' },
+			dialog: true,
+			inline: true
+		} );
+		uls = $container.data( 'uls' );
+		uls.trapFocus = function () {
+			trapped = true;
+		};
+		uls.show();
+		assert.strictEqual( $container.attr( 'aria-expanded' ), undefined, 'The inline container is not expanded' );
+		assert.ok( !pressTab(), 'Tab is not kept in an inline list' );
+		$container.uls( 'destroy' );
+	} );
+
+	test( '-- Hide events', 2, function ( assert ) {
+		var uls,
+			reasons = [],
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$trigger.uls( {
+			languages: { en: 'English', fi: 'suomi' }
+		} ).on( 'ulshide', function ( e, reason ) {
+			reasons.push( reason );
+		} );
+		uls = $trigger.data( 'uls' );
+
+		uls.show();
+		uls.select( 'fi', 'click' );
+		assert.deepEqual( reasons, [ 'select' ], 'Selecting a language hides with the select reason' );
+
+		uls.show();
+		uls.cancel();
+		assert.deepEqual( reasons, [ 'select', 'cancel' ], 'Canceling hides with the cancel reason' );
+		$trigger.uls( 'destroy' );
+	} );
+
+	test( '-- Events are separate from native events', 2, function ( assert ) {
+		var uls,
+			selected = [],
+			nativeSelect = false,
+			$container = $( '<div>' ).appendTo( '#qunit-fixture' ),
+			$input = $( '<input>' ).appendTo( '#qunit-fixture' );
+
+		$container.uls( {
+			languages: { en: 'English', fi: 'suomi' },
+			inline: true
+		} ).on( 'ulsselect', function ( e, langCode ) {
+			selected.push( langCode );
+		} );
+		uls = $container.data( 'uls' );
+		uls.show();
+		// Selecting text in the search box
+		uls.$languageFilter.trigger( 'select' );
+		assert.deepEqual( selected, [], 'Selecting text does not select a language' );
+		$container.uls( 'destroy' );
+
+		$input[ 0 ].select = function () {
+			nativeSelect = true;
+		};
+		$input.uls( {
+			languages: { en: 'English', fi: 'suomi' }
+		} );
+		uls = $input.data( 'uls' );
+		uls.show();
+		uls.select( 'fi', 'click' );
+		assert.strictEqual( nativeSelect, false, 'Selecting a language does not select the text of an input trigger' );
+		$input.uls( 'destroy' );
+	} );
+
+	asyncTest( '-- Picking a language', 3, function ( assert ) {
+		var picked = $.uls.pick( {
+			languages: { en: 'English', fi: 'suomi' }
+		} );
+
+		setTimeout( function () {
+			var $menu = $( '.uls-menu' ).last(),
+				$window = $( window );
+
+			assert.strictEqual(
+				$menu.offset().top,
+				$window.scrollTop() + Math.max( 0, ( $window.height() - $menu.outerHeight() ) / 2 ),
+				'Without an anchor, the selector is shown in the middle of the window'
+			);
+			assert.strictEqual( picked.state(), 'pending', 'The promise is pending while the selector is shown' );
+
+			$( 'html' ).trigger( 'click' );
+			assert.strictEqual( picked.state(), 'rejected', 'Canceling the selector rejects the promise' );
+			start();
+		} );
+	} );
+
+	test( '-- Recent languages', 4, function ( assert ) {
+		var recent = new $.fn.uls.RecentLanguages( 'uls-test-recent', 3 ),
+			getItem = Storage.prototype.getItem,
+			setItem = Storage.prototype.setItem;
+
+		recent.clear();
+		[ 'en', 'fi', 'de', 'sv' ].forEach( function ( code ) {
+			recent.add( code );
+		} );
+		assert.deepEqual( recent.get(), [ 'sv', 'de', 'fi' ], 'Only the given number of languages is remembered' );
+
+		recent.add( 'fi' );
+		assert.deepEqual( recent.get(), [ 'fi', 'sv', 'de' ], 'A language is moved to the start instead of repeated' );
+
+		Storage.prototype.getItem = Storage.prototype.setItem = function () {
+			throw new Error( 'Not available' );
+		};
+		try {
+			recent.add( 'he' );
+			assert.deepEqual( recent.get(), [ 'he', 'fi', 'sv' ], 'Languages are kept in memory without localStorage' );
+		} finally {
+			Storage.prototype.getItem = getItem;
+			Storage.prototype.setItem = setItem;
+		}
+
+		recent.clear();
+		assert.deepEqual( recent.get(), [], 'Clearing forgets the languages' );
+	} );
+
+	asyncTest( '-- Selecting a recent language', 3, function ( assert ) {
+		var uls, $item,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$trigger.uls( {
+			languages: $.uls.data.getAutonyms(),
+			recentLanguages: true,
+			recentLanguagesKey: 'uls-test-selecting'
+		} );
+		uls = $trigger.data( 'uls' );
+		uls.clearRecentLanguages();
+		uls.show();
+
+		// The language list is rendered after a timeout
+		setTimeout( function () {
+			$item = uls.$menu.find( '[data-region] [data-code="fi"]' );
+			uls.select( 'fi', 'click' );
+
+			assert.deepEqual( uls.getRecentLanguages(), [ 'fi' ], 'The selected language is remembered' );
+			assert.strictEqual(
+				uls.$menu.find( '.uls-lcd-quicklist [data-code="fi"]' ).length, 1,
+				'The selected language is suggested'
+			);
+			assert.ok(
+				$item.length && $.contains( uls.$menu[ 0 ], $item[ 0 ] ),
+				'The rest of the list is not rendered again'
+			);
+
+			uls.clearRecentLanguages();
+			$trigger.uls( 'destroy' );
+			start();
+		}, 100 );
+	} );
+
+	asyncTest( '-- Selecting several languages', 5, function ( assert ) {
+		var uls,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$trigger.uls( {
+			languages: { en: 'English', fi: 'suomi', de: 'Deutsch' },
+			multiple: true,
+			maxSelected: 2
+		} );
+		uls = $trigger.data( 'uls' );
+		uls.show();
+
+		assert.strictEqual(
+			uls.$resultsView.attr( 'aria-multiselectable' ), 'true',
+			'The language list allows selecting several languages'
+		);
+
+		// The language list is rendered after a timeout
+		setTimeout( function () {
+			uls.select( 'en', 'click' );
+			assert.strictEqual( uls.$menu.find( '[aria-disabled]' ).length, 0, 'Languages can be selected below the limit' );
+
+			uls.select( 'fi', 'click' );
+			assert.deepEqual(
+				uls.$menu.find( '[aria-disabled="true"]' ).map( function () {
+					return $( this ).data( 'code' );
+				} ).get(),
+				[ 'de' ],
+				'The other languages are disabled when the limit is reached'
+			);
+			assert.notStrictEqual( uls.$menu.find( '.uls-multiselect-limit' ).text(), '', 'The limit is shown' );
+
+			uls.select( 'de', 'click' );
+			assert.deepEqual( uls.value(), [ 'en', 'fi' ], 'A disabled language is not selected' );
+
+			$trigger.uls( 'destroy' );
+			start();
+		}, 100 );
+	} );
+
+	test( '-- Selecting several languages with Enter', 2, function ( assert ) {
+		var uls,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$trigger.uls( {
+			languages: { en: 'English', fi: 'suomi' },
+			multiple: true
+		} );
+		uls = $trigger.data( 'uls' );
+		uls.show();
+
+		uls.$languageFilter.val( 'suomi' );
+		uls.languageFilter.search();
+		[ 'keydown', 'keyup' ].forEach( function ( type ) {
+			uls.$languageFilter.trigger( $.Event( type, { keyCode: 13, which: 13 } ) );
+		} );
+		assert.deepEqual( uls.value(), [ 'fi' ], 'One Enter press selects the language' );
+
+		[ 'keydown', 'keyup' ].forEach( function ( type ) {
+			uls.$languageFilter.trigger( $.Event( type, { keyCode: 13, which: 13 } ) );
+		} );
+		assert.deepEqual( uls.value(), [], 'Another Enter press removes it' );
+
+		$trigger.uls( 'destroy' );
+	} );
+
+	test( '-- Rendering the language list again', 1, function ( assert ) {
+		var lcd = $( '<div>' ).appendTo( '#qunit-fixture' ).lcd( {
+			languages: { en: 'English', fi: 'suomi' }
+		} ).data( 'lcd' );
+
+		lcd.append( 'fi' );
+		lcd.refresh();
+		lcd.scrollToSelected();
+		assert.strictEqual( lcd.scrollToSelectedPending, false, 'Scrolling does not wait for a canceled rendering' );
+		lcd.destroy();
+	} );
+
+	asyncTest( '-- Picking a language when showing is prevented', 2, function ( assert ) {
+		var picked,
+			destroy = $.fn.uls.Constructor.prototype.destroy,
+			destroyed = false,
+			$anchor = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$.fn.uls.Constructor.prototype.destroy = function () {
+			destroyed = true;
+			return destroy.apply( this, arguments );
+		};
+
+		$anchor.on( 'ulsbeforeshow', function ( e ) {
+			e.preventDefault();
+		} );
+		picked = $.uls.pick( {
+			anchor: $anchor,
+			languages: { en: 'English', fi: 'suomi' }
+		} );
+
+		setTimeout( function () {
+			$.fn.uls.Constructor.prototype.destroy = destroy;
+			assert.strictEqual( picked.state(), 'rejected', 'The promise is rejected' );
+			assert.ok( destroyed, 'The selector is removed' );
+			start();
+		}, 50 );
+	} );
+
+	test( '-- Language preferences', 6, function ( assert ) {
+		assert.deepEqual(
+			$.uls.data.stableSort( [ 'fi', 'de', 'sv', 'en' ], function ( a, b ) {
+				return ( a === 'en' ? 0 : 1 ) - ( b === 'en' ? 0 : 1 );
+			} ),
+			[ 'en', 'fi', 'de', 'sv' ],
+			'Sorting keeps the order of equal items'
+		);
+		assert.deepEqual(
+			$.uls.data.parseAcceptLanguage( 'en;q=0.5, fi-FI,fi;q=0.9 , *;q=0.1,de;q=0' ),
+			[ 'fi-FI', 'fi', 'en' ],
+			'Accept-Language is ordered by quality, without wildcards and refused languages'
+		);
+		assert.strictEqual( $.uls.data.resolveLanguageTag( 'pt_BR' ), 'pt-br', 'Separators and case are normalized' );
+		assert.strictEqual( $.uls.data.resolveLanguageTag( 'fi-FI' ), 'fi', 'Unknown subtags are removed' );
+		assert.strictEqual( $.uls.data.resolveLanguageTag( 'xyz' ), undefined, 'Unknown language is not resolved' );
+		assert.deepEqual(
+			$.uls.data.getPreferredLanguages( 'fi-FI,fi;q=0.9,en-US;q=0.8,en;q=0.7,xyz;q=0.6' ),
+			[ 'fi', 'en' ],
+			'Preferred languages are known to ULS and unique'
+		);
+	} );
+
+	test( '-- Language tags', 10, function ( assert ) {
+		assert.deepEqual( $.uls.data.parseTag( 'sr_latn_rs' ), {
+			language: 'sr',
+			extlang: [],
+			script: 'Latn',
+			region: 'RS',
+			variants: [],
+			extensions: [],
+			privateuse: []
+		}, 'Tag is parsed into subtags' );
+		assert.strictEqual( $.uls.data.parseTag( 'en--gb' ), null, 'Malformed tag is not parsed' );
+		assert.strictEqual( $.uls.data.canonicalizeTag( 'EN_gb' ), 'en-GB', 'Case and separators are canonicalized' );
+		assert.strictEqual(
+			$.uls.data.canonicalizeTag( 'ZH-yue-HANT-hk-U-CA-CHINESE-X-Foo' ),
+			'zh-yue-Hant-HK-u-ca-chinese-x-foo',
+			'All kinds of subtags are canonicalized'
+		);
+		assert.strictEqual( $.uls.data.resolveLanguageTag( 'zh-Hant-TW' ), 'zh-hant', 'Script is preferred to region' );
+		assert.strictEqual( $.uls.data.resolveLanguageTag( 'sr-Latn-RS' ), 'sr-latn', 'Script variant is found' );
+		assert.strictEqual( $.uls.data.resolveLanguageTag( 'pt-Latn-BR' ), 'pt-br', 'Region variant is found' );
+		assert.strictEqual( $.uls.data.getAutonym( 'EN_gb' ), $.uls.data.getAutonym( 'en-gb' ), 'getAutonym accepts non-canonical tags' );
+		assert.strictEqual( $.uls.data.getScript( 'sr-Cyrl-RS' ), 'Cyrl', 'getScript accepts non-canonical tags' );
+		assert.strictEqual( $.uls.data.getDir( 'AR-eg' ), 'rtl', 'getDir accepts non-canonical tags' );
+	} );
+
+	test( '-- Fallback languages', 5, function ( assert ) {
+		var uls,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		assert.deepEqual( $.uls.data.getFallbacks( 'de-formal' ), [ 'de' ], 'Subtags are removed' );
+		assert.deepEqual( $.uls.data.getFallbacks( 'sr-el' ), [ 'sr-latn', 'sr' ], 'Redirects are followed' );
+
+		$.uls.data.addFallbacks( 'test-fallback', [ 'pt-br', 'fi' ] );
+		assert.deepEqual(
+			$.uls.data.getFallbacks( 'test-fallback' ),
+			[ 'pt-br', 'pt', 'fi', 'test' ],
+			'Registered fallbacks are tried first'
+		);
+		delete $.uls.data.fallbacks[ 'test-fallback' ];
+
+		$trigger.uls( {
+			languages: { de: 'Deutsch', sr: 'српски', fi: 'suomi' },
+			selected: 'de-formal'
+		} );
+		uls = $trigger.data( 'uls' );
+		assert.strictEqual( uls.value(), 'de', 'Selected language falls back to an offered language' );
+		assert.strictEqual( uls.resolveLanguage( 'sr-el' ), 'sr', 'Language is resolved with the fallback chain' );
+		$trigger.uls( 'destroy' );
+	} );
+
+	test( '-- Language negotiation', 5, function ( assert ) {
+		var negotiate = $.uls.data.negotiateLanguage;
+
+		assert.deepEqual( negotiate( { de: 'Deutsch', fr: 'français' }, [ 'fr' ] ), {
+			language: 'fr',
+			preference: 'fr',
+			score: 1,
+			reason: 'exact'
+		}, 'Exact match' );
+		assert.strictEqual( negotiate( [ 'sr-cyrl', 'sr-latn' ], [ 'sr-el' ] ).reason, 'redirect', 'Redirect target matches' );
+		assert.strictEqual( negotiate( [ 'de', 'fr' ], [ 'de-formal' ] ).language, 'de', 'Fallback matches' );
+		assert.strictEqual( negotiate( [ 'en', 'fi' ], 'fr,fi-FI;q=0.9,en;q=0.8' ).language, 'fi', 'More preferred language wins' );
+		assert.strictEqual( negotiate( [ 'de', 'fr' ], [ 'ja' ] ), null, 'No match' );
+	} );
+
+	test( '-- Localized language names', 8, function ( assert ) {
+		var uls,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$.uls.data.addNames( 'test-locale', { de: 'Test German' } );
+		assert.strictEqual( $.uls.data.getLanguageName( 'de', 'test-locale' ), 'Test German', 'Name is found from the added names' );
+		assert.strictEqual( $.uls.data.getLanguageName( 'de', 'test-locale-x' ), 'Test German', 'Name is found for a fallback locale' );
+		assert.strictEqual( $.uls.data.getLanguageName( 'de', 'zz' ), undefined, 'No name in an unsupported language' );
+		assert.notEqual( $.uls.data.getLanguageName( 'de', 'sr-el' ), 'немачки', 'No name in a different script' );
+
+		$trigger.uls( {
+			languages: { de: 'Deutsch', fi: 'suomi' },
+			locale: 'test-locale'
+		} );
+		uls = $trigger.data( 'uls' );
+		assert.strictEqual( uls.languages.de, 'Test German', 'Language names are localized' );
+		assert.strictEqual( uls.languageFilter.filter( 'de', 'test g' ), true, 'Search matches the localized name' );
+		$trigger.uls( 'destroy' );
+
+		$.uls.data.addNames( 'test-other', { de: 'Other German' } );
+		$trigger.uls( {
+			languages: { de: 'Deutsch', fi: 'suomi' },
+			locale: 'test-locale',
+			searchLocales: [ 'test-other' ]
+		} );
+		uls = $trigger.data( 'uls' );
+		assert.strictEqual( uls.languageFilter.match( 'de', 'other' ), 'Other German', 'Search matches names in the search locales' );
+		assert.strictEqual( uls.languageFilter.match( 'de', 'deu' ), 'Deutsch', 'Search matches the autonym' );
+		$trigger.uls( 'destroy' );
+		delete $.uls.data.names[ 'test-other' ];
+		delete $.uls.data.names[ 'test-locale' ];
+	} );
+
+	test( '-- Folded search', 4, function ( assert ) {
+		var uls,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$trigger.uls( {
+			languages: { fr: 'français', tr: 'Türkçe', en: 'English' }
+		} );
+		uls = $trigger.data( 'uls' );
+		assert.strictEqual( uls.languageFilter.match( 'fr', 'francais' ), 'français', 'Diacritics are ignored' );
+		assert.strictEqual( uls.languageFilter.match( 'tr', 'TURKCE' ), 'Türkçe', 'Case is ignored' );
+		assert.strictEqual( uls.languageFilter.match( 'en', 'ｅｎｇ' ), 'English', 'Full-width forms are ignored' );
+
+		uls.$languageFilter.val( 'Francais' );
+		uls.languageFilter.autofill( 'fr', 'français' );
+		assert.strictEqual( uls.$menu.find( '.uls-filtersuggestion' ).val(), 'français', 'Suggestion keeps the diacritics' );
+		$trigger.uls( 'destroy' );
+	} );
+
+	test( '-- Folded search without String#normalize', 3, function ( assert ) {
+		var uls,
+			normalize = String.prototype.normalize,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$trigger.uls( {
+			languages: { fr: 'français', tr: 'Türkçe', en: 'English' }
+		} );
+		uls = $trigger.data( 'uls' );
+
+		// Simulate a browser without String#normalize
+		String.prototype.normalize = undefined; // eslint-disable-line no-extend-native
+		try {
+			assert.strictEqual( uls.languageFilter.match( 'fr', 'Francais' ), 'français', 'Diacritics are ignored' );
+			assert.strictEqual( uls.languageFilter.match( 'tr', 'TURKCE' ), 'Türkçe', 'Case is ignored' );
+			assert.strictEqual( uls.languageFilter.match( 'en', 'ｅｎｇ' ), 'English', 'Full-width forms are ignored' );
+		} finally {
+			String.prototype.normalize = normalize; // eslint-disable-line no-extend-native
+			$trigger.uls( 'destroy' );
+		}
+	} );
+
+	test( '-- Ranked search', 5, function ( assert ) {
+		var uls, languageFilter,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$trigger.uls( {
+			languages: { pt: 'Portuguese', 'pt-br': 'Brazilian Portuguese', ml: 'Malayalam', de: 'German' },
+			fuzzySearch: true
+		} );
+		uls = $trigger.data( 'uls' );
+		languageFilter = uls.languageFilter;
+		assert.strictEqual( languageFilter.rank( 'de', 'de' ).score, 1, 'Code is an exact match' );
+		assert.ok( languageFilter.rank( 'pt', 'portuguese' ).score > languageFilter.rank( 'pt', 'port' ).score,
+			'Exact name ranks above prefix' );
+		assert.strictEqual( languageFilter.match( 'ml', 'malyalam' ), 'Malayalam', 'Typo is tolerated' );
+		assert.strictEqual( languageFilter.rank( 'de', 'portugese' ), null, 'Too different name does not match' );
+
+		languageFilter.resultHandler( 'portugese', [ 'pt-br', 'pt' ], undefined, {
+			'pt-br': { name: 'Brazilian Portuguese', score: 0.2 },
+			pt: { name: 'Portuguese', score: 0.3 }
+		} );
+		assert.strictEqual( languageFilter.selectedLanguage, 'pt', 'Best result is selected' );
+		$trigger.uls( 'destroy' );
+	} );
+
+	test( '-- Word matching', 4, function ( assert ) {
+		var languageFilter,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$trigger.uls( {
+			languages: { zh: 'Chinese', lzh: 'Classical Chinese', nan: 'Min Nan Chinese', nn: 'Norwegian Nynorsk' }
+		} );
+		languageFilter = $trigger.data( 'uls' ).languageFilter;
+		assert.strictEqual( languageFilter.match( 'lzh', 'chinese' ), 'Classical Chinese', 'Later word matches' );
+		assert.strictEqual( languageFilter.match( 'nn', 'nyn' ), 'Norwegian Nynorsk', 'Word prefix matches' );
+		assert.ok( languageFilter.rank( 'zh', 'chin' ).score > languageFilter.rank( 'lzh', 'chin' ).score,
+			'First word ranks above later word' );
+		assert.ok( languageFilter.rank( 'lzh', 'chinese' ).score > languageFilter.rank( 'nan', 'chinese' ).score,
+			'Earlier word ranks above later word' );
+		$trigger.uls( 'destroy' );
+	} );
+
+	test( '-- Script search', 4, function ( assert ) {
+		var languageFilter,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		assert.strictEqual( $.uls.data.getScriptName( 'Cyrl' ), 'Cyrillic', 'English script name' );
+
+		$trigger.uls( {
+			languages: { ru: 'русский', hi: 'हिन्दी', ar: 'العربية' }
+		} );
+		languageFilter = $trigger.data( 'uls' ).languageFilter;
+		assert.strictEqual( languageFilter.filter( 'ru', 'cyrillic' ), true, 'Script name matches' );
+		assert.strictEqual( languageFilter.filter( 'hi', 'devan' ), true, 'Start of script name matches' );
+		assert.strictEqual( languageFilter.filter( 'ar', 'arabic script' ), true, 'Script label matches' );
+		$trigger.uls( 'destroy' );
+	} );
+
+	test( '-- Place search', 6, function ( assert ) {
+		var uls, languageFilter,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		assert.strictEqual( $.uls.data.getTerritoryName( 'CH' ), 'Switzerland', 'English territory name' );
+
+		$trigger.uls( {
+			languages: { gsw: 'Alemannisch', hi: 'हिन्दी', fi: 'suomi' }
+		} );
+		uls = $trigger.data( 'uls' );
+		languageFilter = uls.languageFilter;
+		assert.strictEqual( languageFilter.rank( 'gsw', 'switzerland' ).group.label, 'Languages of Switzerland',
+			'Language of a territory matches in a group' );
+		assert.strictEqual( languageFilter.rank( 'fi', 'europe' ).group.id, 'region-EU', 'Language of a region matches' );
+		assert.strictEqual( languageFilter.rank( 'hi', 'in' ), null, 'Short search does not match places' );
+
+		uls.$languageFilter.val( 'india' );
+		languageFilter.search();
+		assert.deepEqual( uls.$menu.find( '.uls-lcd-group h3' ).map( function () {
+			return $( this ).text();
+		} ).get(), [ 'Languages of India' ], 'Group has a heading' );
+
+		uls.$languageFilter.val( 'europe' );
+		languageFilter.search();
+		assert.deepEqual( uls.$menu.find( '.uls-lcd-group h3' ).map( function () {
+			return $( this ).text();
+		} ).get(), [ 'Languages of Europe' ], 'Groups of the previous search are removed' );
+		$trigger.uls( 'destroy' );
+	} );
+
+	test( '-- Search operators', 9, function ( assert ) {
+		var uls, languageFilter, params,
+			get = $.get,
+			$trigger = $( '<span>' ).appendTo( '#qunit-fixture' );
+
+		$trigger.uls( {
+			languages: { ru: 'русский', sr: 'српски', ar: 'العربية', ha: 'Hausa', 'zh-hans': '中文（简体）', zh: '中文' }
+		} );
+		uls = $trigger.data( 'uls' );
+		languageFilter = uls.languageFilter;
+		assert.deepEqual( languageFilter.parseQuery( 'script:Cyrl foo:bar ру' ), {
+			text: 'foo:bar ру',
+			filters: [ { operator: 'script', value: 'Cyrl' } ]
+		}, 'Query is split into text and known operators' );
+		assert.strictEqual( languageFilter.matchesFilters( 'ar', [ { operator: 'dir', value: 'rtl' } ] ), true, 'Direction' );
+		assert.strictEqual( languageFilter.matchesFilters( 'ha', [ { operator: 'territory', value: 'ng' } ] ), true, 'Territory' );
+		assert.strictEqual( languageFilter.matchesFilters( 'ha', [ { operator: 'region', value: 'EU' } ] ), false, 'Region' );
+		assert.strictEqual( languageFilter.matchesFilters( 'zh-hans', [ { operator: 'code', value: 'zh-*' } ] ), true, 'Code pattern' );
+		assert.strictEqual( languageFilter.matchesFilters( 'zh', [ { operator: 'code', value: 'zh-*' } ] ), false, 'Code pattern is anchored' );
+
+		uls.$languageFilter.val( 'script:cyrillic ср' );
+		languageFilter.search();
+		assert.strictEqual( languageFilter.selectedLanguage, 'sr', 'Operators are combined with free text' );
+
+		languageFilter.options.searchAPI = 'https://example.org/search';
+		$.get = function ( url, data ) {
+			params = data;
+			return $.Deferred().resolve( { languagesearch: { ar: 'العربية', ru: 'русский' } } ).promise();
+		};
+		try {
+			languageFilter.searchAPI( 'a', [ { operator: 'dir', value: 'rtl' } ] ).done( function ( query, results ) {
+				assert.deepEqual( results, [ 'ar' ], 'The results of the searchAPI are filtered' );
+			} );
+			assert.deepEqual( params, { search: 'a', filters: 'dir:rtl' }, 'The operators are passed to the searchAPI' );
+		} finally {
+			$.get = get;
+		}
+		$trigger.uls( 'destroy' );
+	} );
+
+	test( '-- Suggested languages', 3, function ( assert ) {
+		assert.deepEqual(
+			$.uls.data.getLanguagesInTerritories( [ 'fi', 'AX' ] ).slice( 0, 4 ),
+			[ 'fi', 'en', 'sv', 'de' ],
+			'Languages of several territories are combined without duplicates'
+		);
+		assert.deepEqual(
+			$.uls.data.getSuggestedLanguages( {
+				territories: 'CH',
+				preferences: [ 'fr', 'en' ]
+			} ).slice( 0, 4 ),
+			[ 'fr', 'en', 'de', 'gsw' ],
+			'Preferences rank before territory languages, and languages found in both rank higher'
+		);
+		assert.deepEqual(
+			$.uls.data.getSuggestedLanguages( {
+				territories: [ 'FI' ],
+				preferences: [],
+				recent: [ 'ml' ]
+			} ).slice( 0, 2 ),
+			[ 'ml', 'fi' ],
+			'Recently selected languages rank first'
+		);
+	} );
+
 }( jQuery ) );